@@ -0,0 +1,116 @@
+// User-defined context menu actions
+//
+// An action is { id, title, prompt, model, target }. The prompt uses the same
+// variables as prompt templates ({{selection}}, {{page.title}}, {{page.url}},
+// {{page.content}}). model is a model selector value, or '' for the model
+// selected in the chat. The background script runs the request and delivers
+// the answer to the target.
+const menuActions = {
+  storageKey: 'menuActions',
+
+  targets: {
+    overlay: 'In-page overlay',
+    sidepanel: 'Side panel',
+    notification: 'Notification'
+  },
+
+  // Shipped with the extension; used until actions are saved on the options page
+  defaults: [
+    {
+      id: 'default-translate-korean',
+      title: 'Translate to Korean',
+      prompt: 'Translate the following text into Korean. Reply with the translation only.\n\n{{selection}}',
+      model: '',
+      target: 'overlay'
+    },
+    {
+      id: 'default-summarize',
+      title: 'Summarize',
+      prompt: 'Summarize the following text in a few bullet points.\n\n{{selection}}',
+      model: '',
+      target: 'sidepanel'
+    },
+    {
+      id: 'default-fix-grammar',
+      title: 'Fix grammar',
+      prompt: 'Fix the grammar and spelling of the following text. Reply with the corrected text only.\n\n{{selection}}',
+      model: '',
+      target: 'notification'
+    }
+  ],
+
+  // Get the configured actions, falling back to the defaults
+  getAll() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.storageKey], (result) => {
+        const actions = result[this.storageKey];
+        resolve(Array.isArray(actions) ? actions : this.defaults.map(action => ({ ...action })));
+      });
+    });
+  },
+
+  // Validate and save the action list
+  // Rejects with the list of validation errors if anything is wrong
+  save(actions) {
+    const errors = this.validate(actions);
+    if (errors.length > 0) {
+      return Promise.reject(errors);
+    }
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.storageKey]: actions }, () => resolve(true));
+    });
+  },
+
+  // Remove saved actions so the defaults apply again
+  reset() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove([this.storageKey], () => resolve(true));
+    });
+  },
+
+  validate(actions) {
+    const errors = [];
+    if (!Array.isArray(actions)) {
+      return ['Actions must be a list.'];
+    }
+
+    actions.forEach((action, index) => {
+      const label = action.title || `Action ${index + 1}`;
+      if (!action.title || !action.title.trim()) {
+        errors.push(`${label}: menu title is required.`);
+      }
+      if (!action.prompt || !action.prompt.trim()) {
+        errors.push(`${label}: prompt is required.`);
+      }
+      if (!this.targets[action.target]) {
+        errors.push(`${label}: unknown target "${action.target}".`);
+      }
+    });
+
+    return errors;
+  },
+
+  // Menu contexts: selection-based prompts only show up when text is selected
+  getContexts(action) {
+    const contexts = [];
+    if (promptTemplates.uses(action.prompt, 'selection')) {
+      contexts.push('selection');
+    }
+    if (promptTemplates.uses(action.prompt, 'page.') || contexts.length === 0) {
+      contexts.push('page');
+    }
+    return contexts;
+  },
+
+  // Context menu item ids carry the target so the click handler can open
+  // the side panel before any asynchronous work (it needs the user gesture)
+  getMenuItemId(action) {
+    return `action:${action.target}:${action.id}`;
+  },
+
+  // Parse a menu item id; returns { target, id } or null
+  parseMenuItemId(menuItemId) {
+    const match = /^action:(\w+):(.+)$/.exec(String(menuItemId));
+    return match ? { target: match[1], id: match[2] } : null;
+  }
+};
@@ -1,21 +1,54 @@
 // Background script for LLM Chrome Extension
+importScripts('providers.js', 'stream.js', 'config.js', 'generation.js', 'discovery.js', 'context.js', 'usage.js', 'templates.js', 'history.js', 'actions.js', 'jobs.js', 'tray.js', 'compare.js', 'tools.js');
+
 console.log('Background script loaded');
 
 // Store page information when received from content script
 let currentPageInfo = null;
-let currentSelection = '';
 
-// Create context menu items when extension is installed or updated
-chrome.runtime.onInstalled.addListener(() => {
+// The last selection made in each tab, by tab id; cleared when the tab
+// navigates away or closes
+const tabSelections = {};
+
+// Remove every menu item; rejects if Chrome refuses
+function removeAllMenuItems() {
+  return new Promise((resolve, reject) => {
+    chrome.contextMenus.removeAll(() => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Create one menu item; rejects if Chrome refuses it (a duplicate id, for example)
+function createMenuItem(properties) {
+  return new Promise((resolve, reject) => {
+    chrome.contextMenus.create(properties, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`Menu item ${properties.id}: ${chrome.runtime.lastError.message}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// Create the context menu items, including the user-defined actions
+async function createContextMenus() {
+  await removeAllMenuItems();
+
   // Create a parent menu item
-  chrome.contextMenus.create({
+  await createMenuItem({
     id: 'llm-extension',
     title: 'LLM Chat Extension',
     contexts: ['all']
   });
 
   // Create a menu item for asking about selected text
-  chrome.contextMenus.create({
+  await createMenuItem({
     id: 'ask-about-selection',
     parentId: 'llm-extension',
     title: 'Ask LLM about selection',
@@ -23,43 +56,333 @@ chrome.runtime.onInstalled.addListener(() => {
   });
 
   // Create a menu item for opening in side panel
-  chrome.contextMenus.create({
+  await createMenuItem({
     id: 'open-in-side-panel',
     parentId: 'llm-extension',
     title: 'Open in Side Panel',
     contexts: ['selection']
   });
+
+  // Collect the selection as a snippet in the chat's context tray (see tray.js)
+  await createMenuItem({
+    id: 'add-to-tray',
+    parentId: 'llm-extension',
+    title: 'Add selection to context tray',
+    contexts: ['selection']
+  });
+
+  const actions = await menuActions.getAll();
+  if (actions.length === 0) return;
+
+  await createMenuItem({
+    id: 'actions-separator',
+    parentId: 'llm-extension',
+    type: 'separator',
+    contexts: ['all']
+  });
+
+  for (const action of actions) {
+    await createMenuItem({
+      id: menuActions.getMenuItemId(action),
+      parentId: 'llm-extension',
+      title: action.title,
+      contexts: menuActions.getContexts(action)
+    });
+  }
+}
+
+// Rebuilds run one after another: a rebuild that started while another was
+// still creating items would otherwise clear them and hit duplicate ids
+let menuRebuild = Promise.resolve();
+
+function rebuildContextMenus() {
+  menuRebuild = menuRebuild
+    .then(createContextMenus)
+    .catch(error => console.error('Error building context menus:', error));
+  return menuRebuild;
+}
+
+// Create context menu items when extension is installed or updated
+chrome.runtime.onInstalled.addListener(() => {
+  rebuildContextMenus();
+  // Views now name the tab they read from; this key used to stick to one tab forever
+  chrome.storage.local.remove(['activeTabId']);
 });
 
+// Per-tab context tracking (views follow the active tab themselves, see popup.js)
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) {
+    delete tabSelections[tabId];
+  }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  delete tabSelections[tabId];
+
+  // Forget the tab's conversation (see per-tab chats in popup.js)
+  const { tabChats } = await chrome.storage.session.get(['tabChats']);
+  if (tabChats && tabChats[tabId]) {
+    delete tabChats[tabId];
+    await chrome.storage.session.set({ tabChats });
+  }
+});
+
+// The tab a view asks about: the one it names, else the active tab of the last focused window
+async function resolveTabId(message) {
+  if (message.tabId) return message.tabId;
+  const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  return tabs.length > 0 ? tabs[0].id : null;
+}
+
+// Rebuild the menu whenever actions are edited on the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.menuActions) {
+    rebuildContextMenus();
+  }
+});
+
+// Ask a tab's content script for something; resolves to null if it can't answer
+function sendToTab(tabId, message) {
+  return new Promise((resolve) => {
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      if (chrome.runtime.lastError) {
+        resolve(null);
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+// Notify open extension views; it's fine if none is listening
+function notifyViews(message) {
+  chrome.runtime.sendMessage(message).catch(() => {});
+}
+
+// Resolve the model for an action: its own, else the one selected in the chat, else the first one
+async function resolveActionModel(action) {
+  const endpoints = await apiConfig.getEndpoints();
+  const { selectedModel } = await chrome.storage.local.get(['selectedModel']);
+
+  // The chat's selection may be a model discovered on the server rather than a configured one
+  const selection = apiConfig.findModel(endpoints, action.model) ||
+                    modelDiscovery.findModel(endpoints, selectedModel);
+  if (selection) return selection;
+
+  const endpoint = endpoints.find(item => item.models.length > 0);
+  if (!endpoint) {
+    throw new Error('No model configured. Add one on the settings page.');
+  }
+  return { endpoint, model: endpoint.models[0] };
+}
+
+// Send action progress and results to where the action wants them
+function createActionDelivery(action, tab) {
+  const notificationId = `action-${crypto.randomUUID()}`;
+  let lastOverlayUpdate = 0;
+
+  const showOverlay = (state, content) => {
+    sendToTab(tab.id, { action: 'showResultOverlay', title: action.title, state, content });
+  };
+
+  return {
+    start() {
+      if (action.target === 'overlay') {
+        showOverlay('loading', '');
+      } else if (action.target === 'sidepanel') {
+        notifyViews({ action: 'menuActionStarted', title: action.title });
+      } else {
+        chrome.notifications.create(notificationId, {
+          type: 'basic',
+          iconUrl: 'icons/icon128.png',
+          title: action.title,
+          message: 'Working...'
+        });
+      }
+    },
+
+    // Stream partial answers into the overlay, at most every 150ms
+    update(content) {
+      if (action.target !== 'overlay') return;
+      const now = Date.now();
+      if (now - lastOverlayUpdate < 150) return;
+      lastOverlayUpdate = now;
+      showOverlay('streaming', content);
+    },
+
+    async finish(content, chat) {
+      if (action.target === 'overlay') {
+        sendToTab(tab.id, { action: 'showResultOverlay', title: action.title, state: 'done', content, chatId: chat.id });
+      } else if (action.target === 'sidepanel') {
+        await chrome.storage.local.set({ pendingChatId: chat.id });
+        notifyViews({ action: 'openChat', chatId: chat.id });
+      } else {
+        // Clicking the notification opens the saved chat
+        notificationChats[notificationId] = chat.id;
+        chrome.notifications.create(notificationId, {
+          type: 'basic',
+          iconUrl: 'icons/icon128.png',
+          title: action.title,
+          message: content.length > 500 ? content.substring(0, 500) + '...' : content
+        });
+      }
+    },
+
+    fail(message) {
+      const text = `Sorry, there was an error processing your request: ${message}`;
+      if (action.target === 'overlay') {
+        showOverlay('error', text);
+      } else if (action.target === 'sidepanel') {
+        notifyViews({ action: 'menuActionFailed', title: action.title, error: text });
+      } else {
+        chrome.notifications.create(notificationId, {
+          type: 'basic',
+          iconUrl: 'icons/icon128.png',
+          title: action.title,
+          message: text
+        });
+      }
+    }
+  };
+}
+
+// Chat ids for finished action notifications, by notification id
+const notificationChats = {};
+
+// Open the saved chat behind an action notification in a popup window
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const chatId = notificationChats[notificationId];
+  if (!chatId) return;
+
+  chrome.windows.create({
+    url: chrome.runtime.getURL(`popup.html?chat=${encodeURIComponent(chatId)}`),
+    type: 'popup',
+    width: 400,
+    height: 600,
+    focused: true
+  });
+  chrome.notifications.clear(notificationId);
+  delete notificationChats[notificationId];
+});
+
+// Save a one-off prompt and its answer to the chat history so it can be continued
+async function saveAnswerChat({ title, prompt, content, endpoint, model, tab }) {
+  const chat = chatHistory.createChat({
+    model: apiConfig.getModelKey(endpoint, model),
+    pageUrl: tab.url || ''
+  });
+  chat.title = chatHistory.makeTitle(title);
+  chat.messages.push(
+    { role: 'user', content: prompt, display: prompt, text: prompt, createdAt: chat.createdAt },
+    { role: 'assistant', content, createdAt: Date.now() }
+  );
+  await chatHistory.save(chat);
+  return chat;
+}
+
+// Run a context menu action without opening the chat UI
+// The prompt and answer are saved to the chat history
+async function runMenuAction(actionId, info, tab) {
+  const action = (await menuActions.getAll()).find(item => item.id === actionId);
+  if (!action) return;
+
+  const delivery = createActionDelivery(action, tab);
+  delivery.start();
+
+  try {
+    const { endpoint, model } = await resolveActionModel(action);
+
+    // The content script has the full selection; the menu's selectionText is collapsed
+    const selectionResponse = await sendToTab(tab.id, { action: 'getSelectedText' });
+    const variables = {
+      selection: (selectionResponse && selectionResponse.selectedText) || info.selectionText || ''
+    };
+
+    if (promptTemplates.uses(action.prompt, 'page.')) {
+      const pageInfo = await sendToTab(tab.id, { action: 'getPageInfo' });
+      if (!pageInfo) {
+        throw new Error('The content of this page could not be read.');
+      }
+      variables['page.title'] = pageInfo.title;
+      variables['page.url'] = pageInfo.url;
+      variables['page.content'] = pageInfo.mainContent;
+    }
+
+    const prompt = promptTemplates.render(action.prompt, variables);
+    const { content } = await streamCompletion({
+      endpoint,
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      onContent: (delta, fullText) => delivery.update(fullText)
+    });
+
+    const chat = await saveAnswerChat({
+      title: `${action.title}: ${variables.selection || tab.title || ''}`,
+      prompt,
+      content,
+      endpoint,
+      model,
+      tab
+    });
+
+    await delivery.finish(content, chat);
+  } catch (error) {
+    console.error('Error running menu action:', error);
+    delivery.fail(error.message);
+  }
+}
+
+// Save the selection as a snippet named after its page
+async function addSelectionToTray(info, tab) {
+  // The content script has the full selection; the menu's selectionText is collapsed
+  const selectionResponse = await sendToTab(tab.id, { action: 'getSelectedText' });
+  const content = (selectionResponse && selectionResponse.selectedText) || info.selectionText || '';
+  if (!content) return;
+
+  await contextTray.add(contextTray.createItem({
+    type: 'snippet',
+    title: tab.title,
+    url: tab.url,
+    content
+  }));
+}
+
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === 'llm-extension') {
     // Open side panel when clicking the main menu item
     chrome.sidePanel.open({ windowId: tab.windowId });
   } else if (info.menuItemId === 'ask-about-selection') {
-    // 선택된 텍스트와 탭 ID를 저장하고 확장 프로그램 팝업을 직접 열기
-    currentSelection = info.selectionText || '';
+    // 선택된 텍스트를 저장하고 확장 프로그램 팝업을 직접 열기
+    tabSelections[tab.id] = info.selectionText || '';
     chrome.storage.local.set({ 
       'contextAction': 'selection',
-      'contextSelection': currentSelection,
-      'activeTabId': tab.id
+      'contextSelection': tabSelections[tab.id]
     }, () => {
-      // 새 창에서 팝업 HTML을 열기
+      // 새 창에서 팝업 HTML을 열기; 팝업은 이 탭의 내용을 읽는다
       chrome.windows.create({
-        url: chrome.runtime.getURL('popup.html'),
+        url: chrome.runtime.getURL(`popup.html?tab=${tab.id}`),
         type: 'popup',
         width: 400,
         height: 600,
         focused: true
       });
     });
+  } else if (info.menuItemId === 'add-to-tray') {
+    addSelectionToTray(info, tab);
+  } else if (menuActions.parseMenuItemId(info.menuItemId)) {
+    const { target, id } = menuActions.parseMenuItemId(info.menuItemId);
+    // Open the side panel right away, while the click still counts as a user gesture
+    if (target === 'sidepanel') {
+      chrome.sidePanel.open({ windowId: tab.windowId });
+    }
+    runMenuAction(id, info, tab);
   } else if (info.menuItemId === 'open-in-side-panel') {
-    // 선택된 텍스트와 탭 ID를 저장하고 사이드패널 열기
-    currentSelection = info.selectionText || '';
+    // 선택된 텍스트를 저장하고 사이드패널 열기 (사이드패널은 활성 탭을 따라간다)
+    tabSelections[tab.id] = info.selectionText || '';
     chrome.storage.local.set({ 
       'contextAction': 'selection',
-      'contextSelection': currentSelection,
-      'activeTabId': tab.id
+      'contextSelection': tabSelections[tab.id]
     }, () => {
       // 사이드패널 열기
       chrome.sidePanel.open({ windowId: tab.windowId });
@@ -67,69 +390,135 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   }
 });
 
+// Chat views start and follow answers over 'generation' ports (see jobs.js)
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name === 'generation') {
+    generationJobs.connect(port);
+  }
+});
+
+// Stream answers for the in-page selection toolbar (see overlay.js)
+// The content script sends { type: 'ask', title, prompt } and receives
+// { type: 'content' | 'done' | 'error' }; disconnecting cancels the request
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'inline-answer') return;
+
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  const post = (message) => {
+    if (!controller.signal.aborted) {
+      port.postMessage(message);
+    }
+  };
+
+  port.onMessage.addListener(async (message) => {
+    if (message.type !== 'ask') return;
+
+    try {
+      const { endpoint, model } = await resolveActionModel({ model: '' });
+      const { content } = await streamCompletion({
+        endpoint,
+        model,
+        messages: [{ role: 'user', content: message.prompt }],
+        signal: controller.signal,
+        onContent: (delta, fullText) => post({ type: 'content', content: fullText })
+      });
+
+      const chat = await saveAnswerChat({
+        title: `${message.title}: ${port.sender.tab.title || ''}`,
+        prompt: message.prompt,
+        content,
+        endpoint,
+        model,
+        tab: port.sender.tab
+      });
+      post({ type: 'done', content, chatId: chat.id });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Error answering in page:', error);
+      post({ type: 'error', error: error.message });
+    }
+  });
+});
+
 // Listen for messages from popup and content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('Message received in background:', message);
-  
   if (message.action === 'contentScriptReady') {
     console.log('Content script is ready on tab:', sender.tab?.id);
   }
+
+  // Chat history writes from the popup and side panel (see history.js)
+  if (message.action === 'chatHistoryWrite' && !sender.tab) {
+    chatHistory.write(message.op, ...message.args)
+      .then(result => sendResponse({ result }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  // The in-page answer card renders Markdown with the bundled libraries
+  if (message.action === 'loadAnswerRenderer') {
+    chrome.scripting.executeScript({
+      target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+      files: ['marked.min.js', 'highlight.min.js']
+    }).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      console.error('Error loading answer renderer:', error);
+      sendResponse({ success: false });
+    });
+    return true;
+  }
+
+  // Open an in-page answer as a chat in the side panel
+  if (message.action === 'continueInSidePanel') {
+    // Open first, while the click still counts as a user gesture
+    chrome.sidePanel.open({ windowId: sender.tab.windowId });
+    chrome.storage.local.set({ pendingChatId: message.chatId }, () => {
+      notifyViews({ action: 'openChat', chatId: message.chatId });
+    });
+  }
   
   // Track selection changes from content script
-  if (message.action === 'selectionChanged') {
-    currentSelection = message.selectedText;
-    console.log('Selection updated:', currentSelection);
+  if (message.action === 'selectionChanged' && sender.tab) {
+    tabSelections[sender.tab.id] = message.selectedText;
   }
   
   // When popup requests current page info
+  // Views send the id of the tab they follow (see popup.js)
   if (message.action === 'getCurrentPageInfo') {
-    // Query for the active tab
-    chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
-      // 저장된 activeTabId가 있으면 해당 탭 정보를 사용
-      chrome.storage.local.get(['activeTabId'], function(result) {
-        let activeTabId = result.activeTabId;
-        
-        if (tabs.length === 0 && !activeTabId) {
-          sendResponse({ 
-            title: 'No active tab',
-            url: '',
-            description: '',
-            selectedText: currentSelection,
-            mainContent: '',
-            hasSelection: currentSelection.length > 0
-          });
+    resolveTabId(message).then((tabId) => {
+      const selectedText = (tabId && tabSelections[tabId]) || '';
+      const fallback = (title) => ({
+        title,
+        url: '',
+        description: '',
+        selectedText,
+        mainContent: '',
+        hasSelection: selectedText.length > 0
+      });
+
+      if (!tabId) {
+        sendResponse(fallback('No active tab'));
+        return;
+      }
+
+      chrome.tabs.sendMessage(tabId, { action: 'getPageInfo' }, function(response) {
+        if (chrome.runtime.lastError || !response) {
+          console.error('Error getting page info:', chrome.runtime.lastError);
+          sendResponse(fallback('Error getting page info'));
           return;
         }
-        
-        const activeTab = activeTabId ? { id: activeTabId } : tabs[0];
-        
-        chrome.tabs.sendMessage(
-          activeTab.id,
-          { action: 'getPageInfo' },
-          function(response) {
-            if (chrome.runtime.lastError) {
-              console.error('Error getting page info:', chrome.runtime.lastError);
-              sendResponse({ 
-                title: 'Error getting page info',
-                url: '',
-                description: '',
-                selectedText: currentSelection,
-                mainContent: '',
-                hasSelection: currentSelection.length > 0
-              });
-            } else {
-              // Add any tracked selection if needed
-              if (!response.selectedText && currentSelection) {
-                response.selectedText = currentSelection;
-                response.hasSelection = true;
-              }
-              
-              // Save page info and send it back to popup
-              currentPageInfo = response;
-              sendResponse(response);
-            }
-          }
-        );
+
+        // Add any tracked selection if needed
+        if (!response.selectedText && selectedText) {
+          response.selectedText = selectedText;
+          response.hasSelection = true;
+        }
+
+        // Save page info and send it back to popup
+        currentPageInfo = response;
+        sendResponse(response);
       });
     });
     
@@ -139,42 +528,56 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   // When popup requests just the selected text
   if (message.action === 'getSelectedText') {
-    chrome.storage.local.get(['activeTabId'], function(result) {
-      let activeTabId = result.activeTabId;
-      
-      chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
-        if (tabs.length === 0 && !activeTabId) {
-          sendResponse({ selectedText: currentSelection });
-          return;
+    resolveTabId(message).then((tabId) => {
+      const selectedText = (tabId && tabSelections[tabId]) || '';
+      if (!tabId) {
+        sendResponse({ selectedText });
+        return;
+      }
+
+      chrome.tabs.sendMessage(tabId, { action: 'getSelectedText' }, function(response) {
+        if (chrome.runtime.lastError || !response) {
+          sendResponse({ selectedText });
+        } else {
+          sendResponse(response);
         }
-        
-        const activeTab = activeTabId ? { id: activeTabId } : tabs[0];
-        
-        chrome.tabs.sendMessage(
-          activeTab.id,
-          { action: 'getSelectedText' },
-          function(response) {
-            if (chrome.runtime.lastError) {
-              sendResponse({ selectedText: currentSelection });
-            } else {
-              sendResponse(response);
-            }
-          }
-        );
       });
     });
     
     return true;
   }
 
+  // Insert text from the chat into the page's last focused text field
+  if (message.action === 'insertIntoPage') {
+    resolveTabId(message).then((tabId) => {
+      if (!tabId) {
+        sendResponse({ success: false, error: 'No page to insert into.' });
+        return;
+      }
+
+      chrome.tabs.sendMessage(
+        tabId,
+        { action: 'insertText', text: message.text },
+        function(response) {
+          if (chrome.runtime.lastError) {
+            sendResponse({ success: false, error: 'This page does not accept text from the extension.' });
+          } else {
+            sendResponse(response);
+          }
+        }
+      );
+    });
+
+    return true;
+  }
+
   // Handle clear selection request
   if (message.action === 'clearSelection') {
-    currentSelection = '';
-    // Notify content script to clear selection
-    chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
-      if (tabs.length > 0) {
-        chrome.tabs.sendMessage(tabs[0].id, { action: 'clearSelection' });
-      }
+    resolveTabId(message).then((tabId) => {
+      if (!tabId) return;
+      delete tabSelections[tabId];
+      // Notify content script to clear selection
+      sendToTab(tabId, { action: 'clearSelection' });
     });
     sendResponse({ success: true });
     return true;
@@ -187,7 +590,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         // Send back the context action and clear it
         sendResponse({ 
           action: result.contextAction,
-          selection: result.contextSelection || currentSelection 
+          selection: result.contextSelection || ''
         });
         
         // Clear the stored context action after it's been used
@@ -0,0 +1,141 @@
+// Toolbar for highlighted code blocks in chat messages
+//
+// Each `pre > code` block is wrapped in a .code-block with a toolbar showing
+// the language and Copy, Download, Wrap and line number controls. Blocks the
+// streaming renderer marks as unfinished (data-streaming) are skipped until
+// they are complete.
+const codeBlocks = {
+  // File extensions by highlight.js language name or alias
+  fileExtensions: {
+    bash: 'sh', shell: 'sh', sh: 'sh', zsh: 'sh',
+    c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', cs: 'cs',
+    css: 'css', scss: 'scss', less: 'less',
+    dockerfile: 'Dockerfile',
+    go: 'go', golang: 'go',
+    html: 'html', xml: 'xml', svg: 'svg',
+    java: 'java', kotlin: 'kt', kt: 'kt', swift: 'swift',
+    javascript: 'js', js: 'js', jsx: 'jsx', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+    json: 'json',
+    lua: 'lua',
+    makefile: 'mk',
+    markdown: 'md', md: 'md',
+    perl: 'pl', php: 'php',
+    powershell: 'ps1', ps1: 'ps1',
+    python: 'py', py: 'py',
+    r: 'r', ruby: 'rb', rb: 'rb', rust: 'rs', rs: 'rs',
+    sql: 'sql',
+    yaml: 'yml', yml: 'yml', toml: 'toml', ini: 'ini'
+  },
+
+  // Language id from the code element's classes ('language-js' or the one
+  // highlight.js detected), or '' if unknown
+  getLanguage(code) {
+    const languages = Array.from(code.classList)
+      .filter(name => name.startsWith('language-'))
+      .map(name => name.substring('language-'.length));
+    return languages.find(language => hljs.getLanguage(language)) || languages[0] || '';
+  },
+
+  getLanguageName(language) {
+    const definition = language && hljs.getLanguage(language);
+    return definition ? definition.name : (language || 'Text');
+  },
+
+  getFileExtension(language) {
+    const key = language.toLowerCase();
+    if (this.fileExtensions[key]) return this.fileExtensions[key];
+
+    // Try the aliases of the same highlight.js language
+    const definition = hljs.getLanguage(key);
+    const alias = definition && (definition.aliases || []).find(name => this.fileExtensions[name]);
+    return alias ? this.fileExtensions[alias] : 'txt';
+  },
+
+  // Show feedback on a toolbar button for a moment
+  flash(button, text) {
+    const label = button.dataset.label || button.textContent;
+    button.dataset.label = label;
+    button.textContent = text;
+    setTimeout(() => {
+      button.textContent = label;
+    }, 1500);
+  },
+
+  download(text, language) {
+    const extension = this.getFileExtension(language);
+    // Files like Dockerfile have no extension
+    const fileName = /^[a-z0-9]+$/.test(extension) ? `snippet.${extension}` : extension;
+    const blob = new Blob([text], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  },
+
+  toggleLineNumbers(block, pre, code) {
+    const existing = pre.querySelector('.code-line-numbers');
+    if (existing) {
+      existing.remove();
+      block.classList.remove('line-numbers');
+      return;
+    }
+
+    const lineCount = code.textContent.replace(/\n$/, '').split('\n').length;
+    const gutter = document.createElement('span');
+    gutter.className = 'code-line-numbers';
+    gutter.setAttribute('aria-hidden', 'true');
+    gutter.textContent = Array.from({ length: lineCount }, (value, index) => index + 1).join('\n');
+    pre.insertBefore(gutter, code);
+    block.classList.add('line-numbers');
+  },
+
+  addButton(toolbar, label, title, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', () => onClick(button));
+    toolbar.appendChild(button);
+    return button;
+  },
+
+  // Add a toolbar to every finished code block in container that has none
+  // onInsert(text, button) adds an "Insert" button when given
+  decorate(container, { onInsert = null } = {}) {
+    container.querySelectorAll('pre:not([data-streaming]) > code').forEach(code => {
+      const pre = code.parentElement;
+      if (pre.parentElement.classList.contains('code-block')) return;
+
+      const language = this.getLanguage(code);
+      const block = document.createElement('div');
+      block.className = 'code-block';
+      const toolbar = document.createElement('div');
+      toolbar.className = 'code-toolbar';
+
+      const label = document.createElement('span');
+      label.className = 'code-language';
+      label.textContent = this.getLanguageName(language);
+      toolbar.appendChild(label);
+
+      this.addButton(toolbar, '📋 Copy', '코드 복사', async (button) => {
+        await navigator.clipboard.writeText(code.textContent);
+        this.flash(button, '✅ Copied');
+      });
+      this.addButton(toolbar, '💾 Download', '파일로 저장', () => this.download(code.textContent, language));
+      this.addButton(toolbar, '↩️ Wrap', '줄 바꿈 켜기/끄기', (button) => {
+        button.classList.toggle('active', block.classList.toggle('wrap'));
+      });
+      this.addButton(toolbar, '#️⃣ Lines', '줄 번호 켜기/끄기', (button) => {
+        this.toggleLineNumbers(block, pre, code);
+        button.classList.toggle('active', block.classList.contains('line-numbers'));
+      });
+      if (onInsert) {
+        this.addButton(toolbar, '📥 Insert', '코드를 페이지의 입력 칸에 넣기', (button) => onInsert(code.textContent, button));
+      }
+
+      pre.replaceWith(block);
+      block.appendChild(toolbar);
+      block.appendChild(pre);
+    });
+  }
+};
@@ -0,0 +1,59 @@
+// Side-by-side model comparison
+//
+// In compare mode one question is sent to several models at once, each as
+// its own background job (see jobs.js), and their answers stream into
+// adjacent columns. When all of them have finished, the answers are saved as
+// a single assistant turn:
+//   { role: 'assistant', content, comparison: { answers, preferred }, createdAt }
+// where an answer is { model, content, stats?, stopped?, error? } and model is
+// a selector value ("<endpoint>|<model>"). content is the preferred answer
+// (the first one that has text until one is marked), so follow-up questions
+// replay it like any other answer.
+const modelComparison = {
+  storageKey: 'compareModels',
+
+  // The models last checked for comparison
+  getModels() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.storageKey], (result) => {
+        resolve(Array.isArray(result[this.storageKey]) ? result[this.storageKey] : []);
+      });
+    });
+  },
+
+  saveModels(models) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.storageKey]: models }, () => resolve(true));
+    });
+  },
+
+  // The turn saved for the finished answers, or null if none has any text
+  createTurn(answers) {
+    const first = answers.findIndex(answer => answer.content);
+    if (first === -1) return null;
+
+    return {
+      role: 'assistant',
+      content: answers[first].content,
+      comparison: { answers, preferred: null },
+      createdAt: Date.now()
+    };
+  },
+
+  // Mark an answer as preferred; the thread continues from it
+  prefer(turn, index) {
+    const answer = turn.comparison.answers[index];
+    if (!answer || !answer.content) return false;
+
+    turn.comparison.preferred = index;
+    turn.content = answer.content;
+    return true;
+  },
+
+  // Column heading, e.g. "Ollama · llama3.1:8b"
+  getLabel(endpoints, modelKey) {
+    const selection = apiConfig.findModel(endpoints, modelKey);
+    if (!selection) return modelKey;
+    return `${selection.endpoint.name} · ${selection.model.name || selection.model.id}`;
+  }
+};
@@ -10,7 +10,6 @@ const apiConfig = {
   async getConfig() {
     return new Promise((resolve) => {
       chrome.storage.local.get(['model', 'apiKey'], function(result) {
-        console.log('Loaded settings from storage:', result);
         resolve({
           apiBase: this.defaultConfig.apiBase,
           model: result.model || this.defaultConfig.model,
@@ -24,20 +23,161 @@ const apiConfig = {
   saveConfig(settings) {
     return new Promise((resolve) => {
       chrome.storage.local.set(settings, function() {
-        console.log('Settings saved:', settings);
         resolve(true);
       });
     });
+  },
+
+  // Build the default endpoint list from MODEL_CONFIG
+  getDefaultEndpoints() {
+    return [
+      {
+        id: 'vllm',
+        type: 'openai',
+        name: 'vLLM',
+        url: MODEL_CONFIG.vllm.endpoint,
+        apiKey: this.defaultConfig.apiKey,
+        models: [
+          {
+            id: MODEL_CONFIG.vllm.model,
+            name: 'vLLM',
+            contextLength: MODEL_CONFIG.vllm.contextLength,
+            params: { ...MODEL_CONFIG.vllm.params }
+          }
+        ]
+      },
+      {
+        id: 'ollama',
+        type: 'ollama',
+        name: 'Ollama',
+        url: MODEL_CONFIG.ollama.endpoint,
+        apiKey: '',
+        models: Object.entries(MODEL_CONFIG.ollama.models).map(([key, model]) => ({
+          id: model.model || key,
+          name: model.name,
+          contextLength: model.contextLength,
+          params: { ...model.params }
+        }))
+      }
+    ];
+  },
+
+  // Get the configured endpoints, falling back to the config.js defaults
+  getEndpoints() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['endpoints'], function(result) {
+        resolve(Array.isArray(result.endpoints) && result.endpoints.length > 0
+          ? result.endpoints
+          : this.getDefaultEndpoints());
+      }.bind(this));
+    });
+  },
+
+  // Validate and save the endpoint list
+  // Rejects with the list of validation errors if anything is wrong
+  saveEndpoints(endpoints) {
+    const errors = this.validateEndpoints(endpoints);
+    if (errors.length > 0) {
+      return Promise.reject(errors);
+    }
+    return this.saveConfig({ endpoints });
+  },
+
+  // Build the model selector value for an endpoint's model
+  getModelKey(endpoint, model) {
+    return `${endpoint.id}|${model.id}`;
+  },
+
+  // Resolve a model selector value ("<endpoint id>|<model id>") to { endpoint, model }
+  findModel(endpoints, key) {
+    if (!key) return null;
+
+    const separatorIndex = key.indexOf('|');
+    const endpointId = key.substring(0, separatorIndex);
+    const modelId = key.substring(separatorIndex + 1);
+
+    const endpoint = endpoints.find(item => item.id === endpointId);
+    const model = endpoint && endpoint.models.find(item => item.id === modelId);
+    return model ? { endpoint, model } : null;
+  },
+
+  // Remove saved endpoints so the config.js defaults apply again
+  resetEndpoints() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove(['endpoints'], () => resolve(true));
+    });
+  },
+
+  // Return a list of human-readable problems with the endpoint list
+  validateEndpoints(endpoints) {
+    const errors = [];
+
+    if (!Array.isArray(endpoints) || endpoints.length === 0) {
+      return ['Add at least one endpoint.'];
+    }
+
+    endpoints.forEach((endpoint, index) => {
+      const label = endpoint.name || `Endpoint ${index + 1}`;
+
+      if (!endpoint.name || !endpoint.name.trim()) {
+        errors.push(`${label}: name is required.`);
+      }
+      if (!providerRegistry.has(endpoint.type)) {
+        errors.push(`${label}: unknown type "${endpoint.type}".`);
+      }
+
+      try {
+        const url = new URL(endpoint.url);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          errors.push(`${label}: URL must start with http:// or https://.`);
+        }
+      } catch (e) {
+        errors.push(`${label}: "${endpoint.url}" is not a valid URL.`);
+      }
+
+      if (!Array.isArray(endpoint.models) || endpoint.models.length === 0) {
+        errors.push(`${label}: add at least one model.`);
+        return;
+      }
+
+      const modelIds = new Set();
+      endpoint.models.forEach((model, modelIndex) => {
+        const modelLabel = `${label} / ${model.name || model.id || `model ${modelIndex + 1}`}`;
+
+        if (!model.id || !model.id.trim()) {
+          errors.push(`${modelLabel}: model name is required.`);
+        } else if (modelIds.has(model.id)) {
+          errors.push(`${modelLabel}: duplicate model "${model.id}".`);
+        }
+        modelIds.add(model.id);
+
+        if (model.contextLength !== undefined &&
+            (!Number.isInteger(model.contextLength) || model.contextLength < 256)) {
+          errors.push(`${modelLabel}: context length must be a whole number of at least 256 tokens.`);
+        }
+
+        if (!model.params || typeof model.params !== 'object' || Array.isArray(model.params)) {
+          errors.push(`${modelLabel}: default params must be a JSON object.`);
+        }
+      });
+    });
+
+    return errors;
   }
 };
 
-// Export the configuration object
-window.apiConfig = apiConfig;
+// Export the configuration object (self also works in the background service worker)
+self.apiConfig = apiConfig;
+
+// Fallback endpoints used until endpoints are saved from the options page
 
 const MODEL_CONFIG = {
+  // Context window (in tokens) for models that don't set contextLength
+  defaultContextLength: 4096,
   vllm: {
     endpoint: '...',
     model: '...',
+    contextLength: 8192,
     params: {
       temperature: 0.7,
       max_tokens: 1000,
@@ -46,15 +186,22 @@ const MODEL_CONFIG = {
   },
   ollama: {
     endpoint: 'http://localhost:11434/api/chat',
+    // Keys are only labels; model is the Ollama tag sent to the server
+    // (e.g. 'llama3.1:8b') and defaults to the key
+    // Models the server has that aren't listed here are discovered from /api/tags
     models: {
       gemma3: {
+        model: 'gemma3',
         name: 'Gemma 3',
+        contextLength: 4096,
         params: {
           stream: true
         }
       },
       llama4: {
+        model: 'llama4',
         name: 'Llama 4',
+        contextLength: 4096,
         params: {
           stream: true
         }
@@ -2,43 +2,16 @@
 console.log('Content script loaded');
 
 // Function to extract page content
-function extractPageContent() {
-  // Get page title
-  const title = document.title;
-  
-  // Get meta description
-  let description = '';
-  const metaDesc = document.querySelector('meta[name="description"]');
-  if (metaDesc) {
-    description = metaDesc.getAttribute('content');
-  }
-  
-  // Get URL
-  const url = window.location.href;
-  
+// The readable content comes from pageExtractor (extractor.js) as Markdown plus
+// heading-based sections
+async function extractPageContent() {
   // Get selected text if any
   const selectedText = window.getSelection().toString();
-  
-  // Extract main content (basic implementation)
-  // Gets text from article, main, or body elements
-  let mainContent = '';
-  const contentElements = document.querySelector('article') || 
-                          document.querySelector('main') || 
-                          document.body;
-  
-  if (contentElements) {
-    // Get text content but limit it to avoid excessive data
-    mainContent = contentElements.textContent.trim().substring(0, 5000);
-    // Remove excessive whitespace
-    mainContent = mainContent.replace(/\s+/g, ' ');
-  }
-  
+  const content = await pageExtractor.extract();
+
   return {
-    title,
-    url,
-    description,
+    ...content,
     selectedText,
-    mainContent,
     hasSelection: selectedText.length > 0 // Added flag to indicate if there's selected text
   };
 }
@@ -49,6 +22,9 @@ let currentSelection = '';
 // Monitor text selection changes
 document.addEventListener('selectionchange', function() {
   currentSelection = window.getSelection().toString().trim();
+  if (!currentSelection && !pageEditor.getEditableSelection()) {
+    selectionToolbar.hide();
+  }
   
   // Notify the extension about the selection change
   if (currentSelection) {
@@ -59,13 +35,145 @@ document.addEventListener('selectionchange', function() {
   }
 });
 
+// Prompts for the selection toolbar buttons (see overlay.js)
+const selectionPrompts = {
+  ask: (selection, question) => `${question}\n\nText:\n${selection}`,
+  explain: (selection) => `Explain the following text in simple terms.\n\n${selection}`,
+  translate: (selection) => `Translate the following text into Korean. If it is already in Korean, translate it into English. Reply with the translation only.\n\n${selection}`,
+  rewrite: (selection) => `Rewrite the following text so it reads clearly and naturally. Keep its meaning, tone and language. Reply with the rewritten text only, without quotes or explanations.\n\n${selection}`
+};
+
+// Bounding rect of the current selection, or null
+function getSelectionRect() {
+  const selection = window.getSelection();
+  if (selection.rangeCount === 0 || !selection.toString().trim()) return null;
+
+  const rect = selection.getRangeAt(0).getBoundingClientRect();
+  // Text selected inside inputs has no rect
+  return rect.width === 0 && rect.height === 0 ? null : rect;
+}
+
+// Port streaming the current inline answer from background.js
+let answerPort = null;
+
+function stopInlineAnswer() {
+  if (answerPort) {
+    answerPort.disconnect();
+    answerPort = null;
+  }
+}
+
+// Ask the background script for an answer and stream it into the card
+// onDone(content) is called once the answer is complete
+function streamInlineAnswer(title, prompt, onDone = null) {
+  stopInlineAnswer();
+  answerCard.setState('loading', '');
+
+  const port = chrome.runtime.connect({ name: 'inline-answer' });
+  answerPort = port;
+
+  port.onMessage.addListener((message) => {
+    if (message.type === 'content') {
+      answerCard.setState('streaming', message.content);
+    } else if (message.type === 'done') {
+      answerCard.setState('done', message.content, message.chatId);
+      stopInlineAnswer();
+      if (onDone) {
+        onDone(message.content);
+      }
+    } else if (message.type === 'error') {
+      answerCard.setState('error', `Sorry, there was an error processing your request: ${message.error}`);
+      stopInlineAnswer();
+    }
+  });
+
+  // The background script went away mid-answer
+  port.onDisconnect.addListener(() => {
+    if (answerPort === port) {
+      answerPort = null;
+      answerCard.setState('error', 'The connection to the extension was lost. Please try again.');
+    }
+  });
+
+  port.postMessage({ type: 'ask', title, prompt });
+}
+
+// Closing the card cancels its answer
+answerCard.onClose = stopInlineAnswer;
+
+// Replace the selected text in a field with the model's rewrite, with one-step undo
+function rewriteInPlace(editableSelection) {
+  streamInlineAnswer('Rewrite', selectionPrompts.rewrite(editableSelection.text), (content) => {
+    pageEditor.replace(editableSelection.target, content.trim());
+    answerCard.setExtraAction('Undo', '원래 텍스트로 되돌리기', () => {
+      answerCard.setExtraAction(null);
+      if (!pageEditor.undo()) {
+        answerCard.setState('error', 'The text was changed after the rewrite, so it could not be undone.');
+      }
+    });
+  });
+}
+
+selectionToolbar.onAction = (actionId) => {
+  // Text selected in inputs and textareas isn't part of the page selection
+  const editableSelection = pageEditor.getEditableSelection();
+  const text = editableSelection ? editableSelection.text.trim() : window.getSelection().toString().trim();
+  const rect = editableSelection ? editableSelection.rect : getSelectionRect();
+  selectionToolbar.hide();
+  if (!text) return;
+
+  stopInlineAnswer();
+  const action = selectionToolbar.actions.find(item => item.id === actionId);
+  answerCard.open(action.label, rect);
+
+  if (actionId === 'rewrite') {
+    rewriteInPlace(editableSelection);
+  } else if (actionId === 'ask') {
+    answerCard.askQuestion(question => streamInlineAnswer(question, selectionPrompts.ask(text, question)));
+  } else {
+    streamInlineAnswer(action.label, selectionPrompts[actionId](text));
+  }
+};
+
+// Show the toolbar once a selection is made with the mouse
+document.addEventListener('mouseup', (e) => {
+  if (selectionToolbar.contains(e) || answerCard.contains(e)) return;
+
+  // The selection is only final after this event
+  setTimeout(() => {
+    const editableSelection = pageEditor.getEditableSelection();
+    const rect = editableSelection ? editableSelection.rect : getSelectionRect();
+    if (rect) {
+      selectionToolbar.show(rect, Boolean(editableSelection));
+    } else {
+      selectionToolbar.hide();
+    }
+  }, 0);
+});
+
+document.addEventListener('mousedown', (e) => {
+  if (!selectionToolbar.contains(e)) {
+    selectionToolbar.hide();
+  }
+});
+
 // Listen for messages from the extension
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('Message received in content script:', message);
-  
   if (message.action === 'getPageInfo') {
-    const pageInfo = extractPageContent();
-    sendResponse(pageInfo);
+    extractPageContent()
+      .then(sendResponse)
+      .catch(error => {
+        console.error('Error extracting page content:', error);
+        sendResponse({
+          title: document.title,
+          url: window.location.href,
+          description: '',
+          selectedText: window.getSelection().toString(),
+          mainContent: '',
+          sections: [],
+          hasSelection: false
+        });
+      });
     return true; // Required for async response
   }
   
@@ -76,6 +184,35 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  // Context menu actions that show their result on the page
+  if (message.action === 'showResultOverlay') {
+    if (message.state === 'loading') {
+      stopInlineAnswer();
+      answerCard.open(message.title, getSelectionRect());
+    } else {
+      answerCard.setState(message.state, message.content, message.chatId);
+    }
+    sendResponse({ success: true });
+    return true;
+  }
+
+  // Text from the chat for the last focused text field
+  if (message.action === 'insertText') {
+    sendResponse(pageEditor.insert(message.text));
+    return true;
+  }
+
+  // Page lookups for the model's tools (see pagetools.js)
+  if (message.action === 'queryElements') {
+    sendResponse(pageTools.queryElements(message.selector, message.limit));
+    return true;
+  }
+
+  if (message.action === 'findInPage') {
+    sendResponse(pageTools.find(message.query, message.limit));
+    return true;
+  }
+
   if (message.action === 'clearSelection') {
     // Clear the current selection
     window.getSelection().removeAllRanges();
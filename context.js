@@ -0,0 +1,163 @@
+// Context window budgeting for long pages, selections and chat histories
+//
+// Token counts are estimated on the client: Hangul, CJK and kana characters
+// count as one token each, other text as one token per four characters.
+// This errs on the high side for English and is close for Korean.
+const contextBudget = {
+  // Per-message overhead for role markers and separators
+  messageOverhead: 4,
+  // Map-reduce rounds before giving up and truncating
+  maxReduceRounds: 3,
+
+  estimateTokens(text) {
+    if (!text) return 0;
+    const wideCharacters = (text.match(/[\u1100-\u11ff\u3040-\u30ff\u3130-\u318f\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+    return wideCharacters + Math.ceil((text.length - wideCharacters) / 4);
+  },
+
+  estimateMessagesTokens(messages) {
+    return messages.reduce((total, message) =>
+      total + this.messageOverhead + this.estimateTokens(message.content), 0);
+  },
+
+  // Context length in tokens; models without one use MODEL_CONFIG.defaultContextLength
+  getContextLength(model) {
+    return model.contextLength || MODEL_CONFIG.defaultContextLength;
+  },
+
+  // Tokens left for the prompt once the reply's share is reserved
+  // The chat's settings (see generation.js) override the model's
+  getPromptBudget(model, settings = {}) {
+    const contextLength = settings.numCtx || this.getContextLength(model);
+    const params = model.params || {};
+    const reserved = settings.maxTokens || params.max_tokens ||
+                     (params.options && params.options.num_predict > 0 ? params.options.num_predict : 0) ||
+                     Math.floor(contextLength / 4);
+    return Math.max(contextLength - reserved, Math.floor(contextLength / 4));
+  },
+
+  // Split text into chunks of at most maxTokens, preferring paragraph
+  // boundaries, then sentence and line breaks
+  splitIntoChunks(text, maxTokens) {
+    const chunks = [];
+    let current = '';
+
+    const pushPiece = (piece, separator) => {
+      const candidate = current ? current + separator + piece : piece;
+      if (this.estimateTokens(candidate) <= maxTokens) {
+        current = candidate;
+        return;
+      }
+      if (current) {
+        chunks.push(current);
+        current = '';
+      }
+      if (this.estimateTokens(piece) <= maxTokens) {
+        current = piece;
+      } else {
+        this.splitOversizedPiece(piece, maxTokens).forEach(part => chunks.push(part));
+      }
+    };
+
+    text.split(/\n{2,}/).forEach(paragraph => pushPiece(paragraph, '\n\n'));
+    if (current) {
+      chunks.push(current);
+    }
+    return chunks;
+  },
+
+  // Split a single paragraph that is larger than a chunk
+  splitOversizedPiece(piece, maxTokens) {
+    const sentences = piece.split(/(?<=[.!?。！？\n])\s+/);
+    const parts = [];
+    let current = '';
+
+    sentences.forEach(sentence => {
+      const candidate = current ? current + ' ' + sentence : sentence;
+      if (this.estimateTokens(candidate) <= maxTokens) {
+        current = candidate;
+        return;
+      }
+      if (current) {
+        parts.push(current);
+      }
+      current = sentence;
+
+      // A single huge "sentence" is cut by characters
+      while (this.estimateTokens(current) > maxTokens) {
+        let cut = Math.floor(current.length * maxTokens / this.estimateTokens(current));
+        cut = Math.max(cut, 1);
+        parts.push(current.substring(0, cut));
+        current = current.substring(cut);
+      }
+    });
+
+    if (current) {
+      parts.push(current);
+    }
+    return parts;
+  },
+
+  // Drop the oldest turns until the messages fit the budget
+  // System messages and the newest message are always kept
+  // Returns { messages, droppedCount }
+  trimConversation(messages, budget) {
+    const system = messages.filter(message => message.role === 'system');
+    const turns = messages.filter(message => message.role !== 'system');
+    let droppedCount = 0;
+
+    while (turns.length > 1 && this.estimateMessagesTokens([...system, ...turns]) > budget) {
+      turns.shift();
+      droppedCount++;
+    }
+
+    // Keep the thread starting with a user turn after trimming
+    while (turns.length > 1 && turns[0].role !== 'user') {
+      turns.shift();
+      droppedCount++;
+    }
+
+    return { messages: [...system, ...turns], droppedCount };
+  },
+
+  // Condense text that is too long for the model, map-reduce style:
+  // each chunk is summarized on its own, then the summaries are combined,
+  // repeating until the result fits targetTokens.
+  // complete(prompt) sends one prompt and resolves to the reply text;
+  // onProgress({ round, part, parts }) reports each step.
+  async condense({ text, question, targetTokens, chunkTokens, complete, onProgress = () => {} }) {
+    let current = text;
+
+    for (let round = 1; round <= this.maxReduceRounds; round++) {
+      if (this.estimateTokens(current) <= targetTokens) {
+        return current;
+      }
+
+      const chunks = this.splitIntoChunks(current, chunkTokens);
+      const summaries = [];
+      for (let index = 0; index < chunks.length; index++) {
+        onProgress({ round, part: index + 1, parts: chunks.length });
+        summaries.push(await complete(this.buildChunkPrompt(chunks[index], index, chunks.length, question)));
+      }
+      current = summaries.join('\n\n');
+    }
+
+    // Still too long after the last round: keep the beginning
+    if (this.estimateTokens(current) > targetTokens) {
+      current = this.splitOversizedPiece(current, targetTokens)[0];
+    }
+    return current;
+  },
+
+  buildChunkPrompt(chunk, index, total, question) {
+    const focus = question
+      ? `Keep every detail that helps answer this question: "${question}"`
+      : 'Keep the key facts, names, numbers and conclusions.';
+    return [
+      `Summarize part ${index + 1} of ${total} of a longer text. ${focus}`,
+      'Reply with the summary only, in the language of the text.',
+      '',
+      chunk
+    ].join('\n');
+  }
+};
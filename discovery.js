@@ -0,0 +1,109 @@
+// Discovering the models each server actually has
+//
+// Ollama lists its models at /api/tags and OpenAI-compatible servers at
+// /v1/models (see getModelsUrl/parseModelList in providers.js). Discovered
+// models are merged into the configured ones: configured models keep their
+// names, context length and params, and models only the server knows about
+// are added with default params. A server that can't be reached keeps its
+// configured models and is marked offline.
+const modelDiscovery = {
+  // How long to wait for a server before treating it as offline (ms)
+  timeout: 3000,
+  // Params for discovered models that aren't configured
+  defaultParams: { stream: true },
+
+  // Models reported by the endpoint's server, or null if the adapter can't list them
+  async listModels(endpoint) {
+    const adapter = providerRegistry.get(endpoint.type);
+    if (!adapter.getModelsUrl) return null;
+
+    const response = await fetch(adapter.getModelsUrl(endpoint), {
+      headers: adapter.getHeaders(endpoint),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return adapter.parseModelList(await response.json());
+  },
+
+  // Ollama treats "gemma3" and "gemma3:latest" as the same model
+  isSameModel(a, b) {
+    return a === b || `${a}:latest` === b || a === `${b}:latest`;
+  },
+
+  mergeModels(configured, discovered) {
+    const models = configured.map(model => {
+      const match = discovered.find(item => this.isSameModel(model.id, item.id));
+      if (!match) {
+        return { ...model, unavailable: true };
+      }
+      return {
+        ...model,
+        contextLength: model.contextLength || match.contextLength,
+        details: match.details
+      };
+    });
+
+    discovered
+      .filter(item => !configured.some(model => this.isSameModel(model.id, item.id)))
+      .forEach(item => {
+        models.push({
+          id: item.id,
+          name: item.name,
+          contextLength: item.contextLength,
+          params: { ...this.defaultParams },
+          details: item.details,
+          discovered: true
+        });
+      });
+
+    return models;
+  },
+
+  // Copies of the endpoints with their servers' models merged in
+  async withDiscoveredModels(endpoints) {
+    return Promise.all(endpoints.map(async endpoint => {
+      try {
+        const discovered = await this.listModels(endpoint);
+        return discovered ? { ...endpoint, models: this.mergeModels(endpoint.models, discovered) } : endpoint;
+      } catch (error) {
+        console.warn(`Could not list models for ${endpoint.name}:`, error.message);
+        return { ...endpoint, offline: true };
+      }
+    }));
+  },
+
+  formatSize(bytes) {
+    if (!bytes) return '';
+    return bytes >= 1e9 ? `${(bytes / 1e9).toFixed(1)} GB` : `${Math.round(bytes / 1e6)} MB`;
+  },
+
+  // Short metadata line such as "llama · 8.0B · Q4_K_M · 4.9 GB"
+  describe(model) {
+    const details = model.details || {};
+    return [
+      details.family,
+      details.parameterSize,
+      details.quantization,
+      this.formatSize(details.size)
+    ].filter(Boolean).join(' · ');
+  },
+
+  // Like apiConfig.findModel, but a model that isn't configured (e.g. one
+  // picked from a discovered list) still resolves if its endpoint exists
+  findModel(endpoints, key) {
+    const selection = apiConfig.findModel(endpoints, key);
+    if (selection || !key) return selection;
+
+    const separatorIndex = key.indexOf('|');
+    const endpoint = endpoints.find(item => item.id === key.substring(0, separatorIndex));
+    if (!endpoint) return null;
+
+    const modelId = key.substring(separatorIndex + 1);
+    return {
+      endpoint,
+      model: { id: modelId, name: modelId, params: { ...this.defaultParams } }
+    };
+  }
+};
@@ -0,0 +1,188 @@
+// Writing text into the page's editable fields
+//
+// Remembers the last focused text field (input, textarea or contenteditable)
+// and where its caret was, so text from the chat can be inserted there after
+// focus has moved to the extension. Edits go through execCommand('insertText')
+// where possible so the page's own input handling and Ctrl+Z keep working.
+const pageEditor = {
+  element: null,
+  // Last caret/selection inside a contenteditable element
+  range: null,
+  // The most recent edit, for one-step undo
+  lastEdit: null,
+
+  textInputTypes: ['text', 'search', 'email', 'url', 'tel', ''],
+
+  // Start tracking focus and caret position
+  track() {
+    document.addEventListener('focusin', (e) => {
+      const editable = this.findEditable(e.composedPath()[0]);
+      if (editable) {
+        this.element = editable;
+        this.range = null;
+      }
+    }, true);
+
+    document.addEventListener('selectionchange', () => {
+      if (!this.element || !this.element.isContentEditable) return;
+      const selection = window.getSelection();
+      if (selection.rangeCount > 0 && this.element.contains(selection.anchorNode)) {
+        this.range = selection.getRangeAt(0).cloneRange();
+      }
+    });
+  },
+
+  isTextInput(element) {
+    return element.tagName === 'TEXTAREA' ||
+           (element.tagName === 'INPUT' && this.textInputTypes.includes(element.getAttribute('type') || ''));
+  },
+
+  // The text field an element belongs to (the editing host for contenteditable)
+  findEditable(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+    if (this.isTextInput(element)) {
+      return element.readOnly || element.disabled ? null : element;
+    }
+    if (!element.isContentEditable) return null;
+
+    let host = element;
+    while (host.parentElement && host.parentElement.isContentEditable) {
+      host = host.parentElement;
+    }
+    return host;
+  },
+
+  // The focused element, looking inside open shadow roots
+  getDeepActiveElement() {
+    let active = document.activeElement;
+    while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+      active = active.shadowRoot.activeElement;
+    }
+    return active;
+  },
+
+  // Selected text inside a text field: { target, text, rect } or null
+  // target can be passed to replace() later, even after focus has moved
+  getEditableSelection() {
+    const active = this.findEditable(this.getDeepActiveElement());
+    if (!active) return null;
+
+    if (this.isTextInput(active)) {
+      const start = active.selectionStart;
+      const end = active.selectionEnd;
+      if (start === null || start === end) return null;
+      return {
+        target: { element: active, start, end },
+        text: active.value.substring(start, end),
+        rect: active.getBoundingClientRect()
+      };
+    }
+
+    const selection = window.getSelection();
+    if (selection.rangeCount === 0 || selection.isCollapsed || !active.contains(selection.anchorNode)) {
+      return null;
+    }
+    const range = selection.getRangeAt(0);
+    return {
+      target: { element: active, range: range.cloneRange() },
+      text: selection.toString(),
+      rect: range.getBoundingClientRect()
+    };
+  },
+
+  // The caret (or selection) in the last focused text field, or null
+  getCaretTarget() {
+    const element = this.element;
+    if (!element || !element.isConnected) return null;
+
+    if (this.isTextInput(element)) {
+      const start = element.selectionStart === null ? element.value.length : element.selectionStart;
+      const end = element.selectionEnd === null ? start : element.selectionEnd;
+      return { element, start, end };
+    }
+
+    if (this.range && element.contains(this.range.startContainer)) {
+      return { element, range: this.range };
+    }
+    // No caret seen yet: append at the end
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    range.collapse(false);
+    return { element, range };
+  },
+
+  // Insert text at the caret of the last focused text field
+  // Returns { success, error }
+  insert(text) {
+    const target = this.getCaretTarget();
+    if (!target) {
+      return { success: false, error: 'Click into a text field on the page first, then try again.' };
+    }
+    this.replace(target, text);
+    return { success: true };
+  },
+
+  // Replace the target's selection (or insert at its caret) with text
+  replace(target, text) {
+    const { element } = target;
+    element.focus();
+
+    if (this.isTextInput(element)) {
+      element.setSelectionRange(target.start, target.end);
+      const original = element.value.substring(target.start, target.end);
+      if (!document.execCommand('insertText', false, text)) {
+        element.setRangeText(text, target.start, target.end, 'end');
+        element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+      }
+      this.lastEdit = { element, start: target.start, original, inserted: text };
+      return;
+    }
+
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(target.range);
+    const original = selection.toString();
+
+    if (document.execCommand('insertText', false, text)) {
+      this.lastEdit = { element, original, inserted: text, native: true };
+      return;
+    }
+
+    // Editors that block execCommand: edit the DOM directly
+    const range = selection.getRangeAt(0);
+    const node = document.createTextNode(text);
+    range.deleteContents();
+    range.insertNode(node);
+    range.setStartAfter(node);
+    range.collapse(true);
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertText', data: text }));
+    this.lastEdit = { element, original, inserted: text, node };
+  },
+
+  // Undo the most recent edit, once
+  // Returns false if the text was changed since and can't be restored safely
+  undo() {
+    const edit = this.lastEdit;
+    if (!edit || !edit.element.isConnected) return false;
+    this.lastEdit = null;
+
+    if (this.isTextInput(edit.element)) {
+      const end = edit.start + edit.inserted.length;
+      if (edit.element.value.substring(edit.start, end) !== edit.inserted) return false;
+      this.replace({ element: edit.element, start: edit.start, end }, edit.original);
+      this.lastEdit = null;
+      return true;
+    }
+
+    edit.element.focus();
+    if (edit.native) {
+      return document.execCommand('undo');
+    }
+    if (!edit.node.isConnected) return false;
+    edit.node.replaceWith(document.createTextNode(edit.original));
+    edit.element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'historyUndo' }));
+    return true;
+  }
+};
+
+pageEditor.track();
@@ -0,0 +1,255 @@
+// Exporting and importing conversations
+//
+// Markdown is for pasting into tickets, HTML is a standalone page with the
+// highlight.css styles inlined, and JSON keeps everything needed to restore
+// the chat and continue it: roles, model and params, the chat's generation
+// settings, timestamps, the attached selection/page context, the answers
+// of compared models and the tool calls made for an answer.
+const chatExport = {
+  format: 'llm-chat-extension/chat',
+  version: 1,
+
+  // File name from the chat title and date, e.g. "summarize-this-page-2025-05-12.md"
+  getFileName(chat, extension) {
+    const slug = (chat.title || 'chat')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 50) || 'chat';
+    const date = new Date(chat.updatedAt || Date.now()).toISOString().substring(0, 10);
+    return `${slug}-${date}.${extension}`;
+  },
+
+  // { key, endpoint, name, params } for the chat's model, as far as it is still configured
+  describeModel(chat, endpoints) {
+    const selection = apiConfig.findModel(endpoints, chat.model);
+    if (!selection) {
+      return { key: chat.model || '', endpoint: '', name: chat.model || '', params: {} };
+    }
+    return {
+      key: chat.model,
+      endpoint: selection.endpoint.name,
+      name: selection.model.name,
+      params: selection.model.params || {}
+    };
+  },
+
+  formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '';
+  },
+
+  toMarkdown(chat, endpoints) {
+    const model = this.describeModel(chat, endpoints);
+    const lines = [`# ${chat.title || 'Chat'}`, ''];
+    lines.push(`- Model: ${model.endpoint ? `${model.endpoint} - ${model.name}` : model.name}`);
+    lines.push(`- Date: ${this.formatTime(chat.createdAt)}`);
+    if (chat.pageUrl) {
+      lines.push(`- Page: ${chat.pageUrl}`);
+    }
+    const settings = chat.settings || {};
+    if (settings.systemPrompt) {
+      lines.push('', '**System prompt:**', '');
+      lines.push(...settings.systemPrompt.split('\n').map(line => `> ${line}`));
+    }
+
+    chat.messages.forEach(turn => {
+      const time = turn.createdAt ? ` (${this.formatTime(turn.createdAt)})` : '';
+      lines.push('', `## ${turn.role === 'user' ? 'User' : 'Assistant'}${time}`, '');
+
+      if (turn.comparison) {
+        turn.comparison.answers.forEach((answer, index) => {
+          const preferred = turn.comparison.preferred === index ? ' (preferred)' : '';
+          if (index > 0) {
+            lines.push('');
+          }
+          lines.push(`### ${modelComparison.getLabel(endpoints, answer.model)}${preferred}`, '');
+          lines.push(answer.content || `_${answer.error || 'No answer'}_`);
+        });
+        return;
+      }
+      if (turn.role !== 'user') {
+        (turn.steps || []).forEach(step => {
+          lines.push(`- 🔧 \`${step.name}\` ${step.arguments || '{}'} (${step.status})`);
+        });
+        if (turn.steps && turn.steps.length > 0) {
+          lines.push('');
+        }
+        lines.push(turn.content);
+        return;
+      }
+
+      lines.push(turn.text || turn.content);
+      if (turn.selection) {
+        lines.push('', '**Selected text:**', '');
+        lines.push(...turn.selection.split('\n').map(line => `> ${line}`));
+      }
+      if (turn.page) {
+        lines.push('', `**Page:** [${turn.page.title || turn.page.url}](${turn.page.url})`);
+      }
+      (turn.attachments || []).forEach((item, index) => {
+        const source = item.url ? ` (${item.url})` : '';
+        lines.push('', `**Context ${index + 1}:** ${item.title}${source}`);
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  },
+
+  toJson(chat, endpoints) {
+    return JSON.stringify({
+      format: this.format,
+      version: this.version,
+      exportedAt: Date.now(),
+      chat: {
+        id: chat.id,
+        title: chat.title,
+        model: this.describeModel(chat, endpoints),
+        pageUrl: chat.pageUrl,
+        settings: chat.settings || {},
+        createdAt: chat.createdAt,
+        updatedAt: chat.updatedAt,
+        messages: chat.messages.map(({ role, content, display, text, selection, page, attachments, stats, comparison, steps, createdAt }) =>
+          ({ role, content, display, text, selection, page, attachments, stats, comparison, steps, createdAt }))
+      }
+    }, null, 2);
+  },
+
+  // Parse an exported JSON file into a new chat record (with a new id, so
+  // importing never overwrites a saved chat)
+  // Throws if the JSON is malformed or has no valid messages
+  fromJson(json) {
+    const data = JSON.parse(json);
+    const source = data && data.chat ? data.chat : data;
+    if (!source || !Array.isArray(source.messages)) {
+      throw new Error('No "messages" list found in the file.');
+    }
+
+    const messages = source.messages.map((turn, index) => {
+      if (!turn || !['user', 'assistant', 'system'].includes(turn.role) || typeof turn.content !== 'string') {
+        throw new Error(`Message ${index + 1} needs a role (user or assistant) and text content.`);
+      }
+      const message = { role: turn.role, content: turn.content };
+      ['display', 'text', 'selection'].forEach(field => {
+        if (typeof turn[field] === 'string') {
+          message[field] = turn[field];
+        }
+      });
+      if (turn.page && typeof turn.page === 'object') {
+        message.page = turn.page;
+      }
+      if (Array.isArray(turn.attachments)) {
+        message.attachments = turn.attachments.filter(item => item && typeof item.content === 'string');
+      }
+      if (turn.stats && typeof turn.stats === 'object') {
+        message.stats = turn.stats;
+      }
+      if (Array.isArray(turn.steps)) {
+        message.steps = turn.steps.filter(step => step && typeof step.name === 'string');
+      }
+      if (turn.comparison && Array.isArray(turn.comparison.answers)) {
+        const answers = turn.comparison.answers.filter(answer =>
+          answer && typeof answer.model === 'string' && typeof answer.content === 'string');
+        const preferred = Number.isInteger(turn.comparison.preferred) && answers[turn.comparison.preferred]
+          ? turn.comparison.preferred
+          : null;
+        if (answers.length > 0) {
+          message.comparison = { answers, preferred };
+        }
+      }
+      if (Number.isFinite(turn.createdAt)) {
+        message.createdAt = turn.createdAt;
+      }
+      return message;
+    });
+
+    const model = source.model && typeof source.model === 'object' ? source.model.key : source.model;
+    const chat = chatHistory.createChat({ model: model || '', pageUrl: source.pageUrl || '' });
+    chat.messages = messages;
+    chat.settings = generationSettings.normalize(source.settings);
+    chat.title = source.title ? String(source.title) : chatHistory.makeTitle(messages.length > 0 ? messages[0].content : '');
+    if (Number.isFinite(source.createdAt)) {
+      chat.createdAt = source.createdAt;
+    }
+    return chat;
+  },
+
+  // Rendered, highlighted and sanitized HTML for some Markdown
+  renderHtml(markdown) {
+    const container = document.createElement('div');
+    container.innerHTML = htmlSanitizer.renderMarkdown(markdown);
+    container.querySelectorAll('pre code').forEach(block => hljs.highlightElement(block));
+    return container.innerHTML;
+  },
+
+  // Standalone HTML page for the chat
+  async toHtml(chat, endpoints) {
+    const escape = text => htmlSanitizer.escapeHtml(text);
+    const model = this.describeModel(chat, endpoints);
+    const highlightCss = await fetch(chrome.runtime.getURL('highlight.css')).then(response => response.text());
+
+    const messages = chat.messages.map(turn => {
+      const isUser = turn.role === 'user';
+      let body = turn.comparison
+        ? turn.comparison.answers.map((answer, index) => {
+          const preferred = turn.comparison.preferred === index ? ' (preferred)' : '';
+          return `<h3>${escape(modelComparison.getLabel(endpoints, answer.model) + preferred)}</h3>` +
+            (answer.content ? this.renderHtml(answer.content) : `<p class="context">${escape(answer.error || 'No answer')}</p>`);
+        }).join('')
+        : this.renderHtml(isUser ? (turn.text || turn.content) : turn.content);
+      if (isUser && turn.selection) {
+        body += `<details><summary>Selected text (${turn.selection.length} chars)</summary><pre>${escape(turn.selection)}</pre></details>`;
+      }
+      if (isUser && turn.page) {
+        body += `<p class="context">Page: ${escape(turn.page.title || '')} &lt;${escape(turn.page.url)}&gt;</p>`;
+      }
+      if (turn.steps && turn.steps.length > 0) {
+        body = turn.steps.map(step =>
+          `<details><summary>Tool: ${escape(step.name)} (${escape(step.status)})</summary><pre>${escape(step.arguments || '{}')}\n\n${escape(step.result || '')}</pre></details>`
+        ).join('') + body;
+      }
+      return `
+  <div class="message ${isUser ? 'user' : 'assistant'}">
+    <div class="role">${isUser ? 'User' : 'Assistant'} <span>${escape(this.formatTime(turn.createdAt))}</span></div>
+    ${body}
+  </div>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${escape(chat.title || 'Chat')}</title>
+  <style>
+    body { max-width: 800px; margin: 2em auto; padding: 0 1em; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #2c3e50; }
+    .meta { color: #6c757d; font-size: 0.9em; }
+    .message { margin: 1em 0; padding: 0.75em 1em; border-radius: 8px; }
+    .message.user { background: #e3f2fd; }
+    .message.assistant { background: #f3e5f5; }
+    .role { font-weight: 600; font-size: 0.85em; color: #495057; }
+    .role span, .context { font-weight: normal; color: #6c757d; font-size: 0.9em; }
+    pre { background: rgba(255, 255, 255, 0.8); padding: 1em; border-radius: 8px; overflow-x: auto; white-space: pre-wrap; }
+    code { font-family: 'Courier New', Courier, monospace; font-size: 0.9em; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #dee2e6; padding: 4px 8px; }
+${highlightCss}
+  </style>
+</head>
+<body>
+  <h1>${escape(chat.title || 'Chat')}</h1>
+  <p class="meta">${escape(model.endpoint ? `${model.endpoint} - ${model.name}` : model.name)} · ${escape(this.formatTime(chat.createdAt))}${chat.pageUrl ? ` · ${escape(chat.pageUrl)}` : ''}</p>
+${chat.settings && chat.settings.systemPrompt ? `  <p class="meta">System prompt: ${escape(chat.settings.systemPrompt)}</p>\n` : ''}${messages}
+</body>
+</html>
+`;
+  },
+
+  // Save text as a file through a download link
+  download(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+};
@@ -0,0 +1,684 @@
+// Page content extraction used by the content script
+//
+// HTML pages are handled the way reader modes do it: boilerplate (navigation,
+// cookie banners, scripts, hidden elements) is skipped, text blocks are scored
+// by length, commas and link density, and the best-scoring container is turned
+// into Markdown that keeps headings, lists, tables and code blocks. Open shadow
+// roots and same-origin iframes are read as part of the page.
+//
+// PDFs opened in the browser viewer are fetched again and their text operators
+// are read directly. Font encodings and ToUnicode maps are not decoded, so this
+// only covers text-based PDFs with standard fonts. Scanned PDFs yield no text,
+// and PDFs whose fonts need decoding (CID fonts, custom encodings) get a notice
+// instead of the glyph codes.
+const pageExtractor = {
+  // Safety cap for very large pages; context budgeting happens in the extension
+  maxContentLength: 200000,
+
+  // Elements that never hold readable content
+  skipTags: new Set([
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'nav', 'footer',
+    'aside', 'form', 'button', 'input', 'select', 'textarea', 'dialog', 'object',
+    'embed', 'head', 'link', 'meta', 'audio', 'video', 'map'
+  ]),
+
+  boilerplateRoles: new Set([
+    'navigation', 'banner', 'contentinfo', 'complementary', 'dialog',
+    'alertdialog', 'menu', 'menubar', 'search', 'toolbar'
+  ]),
+
+  // Class/id hints for boilerplate, and for content that should be kept anyway
+  unlikelyPattern: /cookie|consent|gdpr|banner|breadcrumb|nav|menu|footer|sidebar|comment|share|social|promo|advert|sponsor|popup|modal|newsletter|subscribe|related|recommend|outbrain|taboola/i,
+  likelyPattern: /article|content|main|post|entry|story|body|text|blog/i,
+
+  // Elements rendered as separate blocks in Markdown
+  blockTags: new Set([
+    'p', 'div', 'section', 'article', 'main', 'header', 'figure', 'figcaption',
+    'dl', 'dt', 'dd', 'address', 'details', 'summary', 'center', 'body', 'html'
+  ]),
+
+  // Elements whose text counts towards a container's score
+  scoreTags: new Set(['p', 'pre', 'td', 'blockquote', 'li', 'dd']),
+
+  // Extract the current page as { title, url, description, mainContent, sections, source, truncated }
+  async extract() {
+    const base = {
+      title: document.title,
+      url: window.location.href,
+      description: this.getDescription()
+    };
+
+    const markdown = this.isPdfDocument()
+      ? await this.extractPdfText()
+      : this.extractHtmlMarkdown();
+
+    const truncated = markdown.length > this.maxContentLength;
+    const mainContent = truncated ? markdown.substring(0, this.maxContentLength) : markdown;
+
+    return {
+      ...base,
+      mainContent,
+      sections: this.splitSections(mainContent),
+      source: this.isPdfDocument() ? 'pdf' : 'html',
+      truncated
+    };
+  },
+
+  getDescription() {
+    const meta = document.querySelector('meta[name="description"]') ||
+                 document.querySelector('meta[property="og:description"]');
+    return meta ? meta.getAttribute('content') || '' : '';
+  },
+
+  // ---- HTML ----
+
+  extractHtmlMarkdown() {
+    if (!document.body) return '';
+
+    const roots = this.findContentRoots(document.body);
+    const codeBlocks = [];
+    const markdown = roots
+      .map(root => this.nodeToMarkdown(root, { listDepth: 0, codeBlocks }))
+      .join('\n\n');
+
+    return this.normalizeMarkdown(markdown, codeBlocks);
+  },
+
+  // Child nodes as rendered: open shadow roots, slots and same-origin iframes included
+  getComposedChildren(node) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      if (node.shadowRoot) {
+        return Array.from(node.shadowRoot.childNodes);
+      }
+      if (node.tagName === 'SLOT') {
+        const assigned = node.assignedNodes({ flatten: true });
+        if (assigned.length > 0) return assigned;
+      }
+      if (node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+        try {
+          const frameDocument = node.contentDocument;
+          return frameDocument && frameDocument.body ? [frameDocument.body] : [];
+        } catch (e) {
+          // Cross-origin frames can't be read
+          return [];
+        }
+      }
+    }
+    return Array.from(node.childNodes);
+  },
+
+  // Parent element, stepping out of shadow roots
+  getComposedParent(element) {
+    const parent = element.parentNode;
+    if (!parent) return null;
+    if (parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE && parent.host) return parent.host;
+    return parent.nodeType === Node.ELEMENT_NODE ? parent : null;
+  },
+
+  isBoilerplate(element) {
+    const tag = element.tagName.toLowerCase();
+    if (this.skipTags.has(tag)) return true;
+    if (tag === 'header' && !element.closest('article, main')) return true;
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+
+    const role = element.getAttribute('role');
+    if (role && this.boilerplateRoles.has(role)) return true;
+
+    if (tag !== 'body' && tag !== 'html' && tag !== 'article' && tag !== 'main') {
+      const hints = `${element.id} ${typeof element.className === 'string' ? element.className : ''}`;
+      if (this.unlikelyPattern.test(hints) && !this.likelyPattern.test(hints)) return true;
+    }
+
+    if (typeof element.checkVisibility === 'function' && !element.checkVisibility()) return true;
+    return false;
+  },
+
+  // Visit every non-boilerplate element below root
+  walkElements(root, visit) {
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        if (this.isBoilerplate(node)) continue;
+        visit(node);
+      }
+      const children = this.getComposedChildren(node);
+      for (let i = children.length - 1; i >= 0; i--) {
+        if (children[i].nodeType === Node.ELEMENT_NODE || children[i].nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+          stack.push(children[i]);
+        }
+      }
+    }
+  },
+
+  getInitialScore(element) {
+    switch (element.tagName.toLowerCase()) {
+      case 'article':
+      case 'main':
+        return 10;
+      case 'div':
+      case 'section':
+        return 5;
+      case 'pre':
+      case 'td':
+      case 'blockquote':
+        return 3;
+      case 'ol':
+      case 'ul':
+      case 'dl':
+      case 'form':
+        return -3;
+      default:
+        return 0;
+    }
+  },
+
+  getLinkDensity(element) {
+    const textLength = element.textContent.trim().length;
+    if (textLength === 0) return 0;
+
+    let linkLength = 0;
+    element.querySelectorAll('a').forEach(link => {
+      linkLength += link.textContent.trim().length;
+    });
+    return Math.min(linkLength / textLength, 1);
+  },
+
+  // Pick the best-scoring container plus siblings that also look like content
+  findContentRoots(body) {
+    const scores = new Map();
+    const addScore = (element, value) => {
+      if (!element) return;
+      if (!scores.has(element)) {
+        scores.set(element, this.getInitialScore(element));
+      }
+      scores.set(element, scores.get(element) + value);
+    };
+
+    this.walkElements(body, (element) => {
+      if (!this.scoreTags.has(element.tagName.toLowerCase())) return;
+
+      const text = element.textContent.trim();
+      if (text.length < 25) return;
+
+      const commas = text.split(/[,，、]/).length - 1;
+      const score = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+
+      const parent = this.getComposedParent(element);
+      addScore(parent, score);
+      if (parent) {
+        addScore(this.getComposedParent(parent), score / 2);
+      }
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      const adjustedScore = score * (1 - this.getLinkDensity(element));
+      scores.set(element, adjustedScore);
+      if (adjustedScore > bestScore) {
+        best = element;
+        bestScore = adjustedScore;
+      }
+    });
+
+    // Pages without a clear main block (or with very little text) are read whole
+    if (!best || best.textContent.trim().length < 200) {
+      return [body];
+    }
+
+    const parent = this.getComposedParent(best);
+    if (!parent) return [best];
+
+    const threshold = Math.max(10, bestScore * 0.2);
+    return Array.from(parent.children).filter(sibling =>
+      sibling === best || (scores.get(sibling) || 0) >= threshold
+    );
+  },
+
+  // Convert a node to Markdown
+  // Code blocks are stashed in context.codeBlocks so whitespace cleanup can't touch them
+  nodeToMarkdown(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      return this.childrenToMarkdown(node, context);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || this.isBoilerplate(node)) {
+      return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    switch (tag) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6': {
+        const text = this.childrenToMarkdown(node, context).replace(/\s+/g, ' ').trim();
+        return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+      }
+      case 'br':
+        return '\n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'pre':
+        return this.codeBlockToMarkdown(node, context);
+      case 'code': {
+        const code = node.textContent;
+        return code.trim() ? '`' + code.replace(/`/g, '\\`') + '`' : '';
+      }
+      case 'strong':
+      case 'b':
+        return this.wrapInline(this.childrenToMarkdown(node, context), '**');
+      case 'em':
+      case 'i':
+        return this.wrapInline(this.childrenToMarkdown(node, context), '*');
+      case 'img': {
+        const alt = (node.getAttribute('alt') || '').trim();
+        return alt ? `[Image: ${alt}]` : '';
+      }
+      case 'ul':
+      case 'ol':
+        return this.listToMarkdown(node, context);
+      case 'table':
+        return this.tableToMarkdown(node, context);
+      case 'blockquote': {
+        const text = this.normalizeMarkdown(this.childrenToMarkdown(node, context), context.codeBlocks);
+        return text ? '\n\n' + text.split('\n').map(line => `> ${line}`).join('\n') + '\n\n' : '';
+      }
+      default: {
+        const text = this.childrenToMarkdown(node, context);
+        return this.blockTags.has(tag) || node.tagName === 'IFRAME' ? `\n\n${text}\n\n` : text;
+      }
+    }
+  },
+
+  // Wrap inline text in emphasis markers, keeping surrounding spaces outside them
+  wrapInline(text, marker) {
+    const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+  },
+
+  childrenToMarkdown(node, context) {
+    return this.getComposedChildren(node)
+      .map(child => this.nodeToMarkdown(child, context))
+      .join('');
+  },
+
+  codeBlockToMarkdown(pre, context) {
+    const code = pre.textContent.replace(/\n+$/, '');
+    if (!code.trim()) return '';
+
+    // Language hints usually live on the pre or the inner code element
+    const codeElement = pre.querySelector('code');
+    const classNames = `${pre.className} ${codeElement ? codeElement.className : ''}`;
+    const languageMatch = /(?:lang|language)-([\w+#-]+)/.exec(classNames);
+    const language = languageMatch ? languageMatch[1] : '';
+
+    context.codeBlocks.push('```' + language + '\n' + code + '\n```');
+    return `\n\n\u0000CODE${context.codeBlocks.length - 1}\u0000\n\n`;
+  },
+
+  listToMarkdown(list, context) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    let number = Number(list.getAttribute('start')) || 1;
+    // List indentation is marked with \u0001 so whitespace cleanup keeps it
+    const indent = '\u0001'.repeat(context.listDepth);
+    const itemContext = { ...context, listDepth: context.listDepth + 1 };
+
+    const items = this.getComposedChildren(list)
+      .filter(child => child.nodeType === Node.ELEMENT_NODE && child.tagName === 'LI' && !this.isBoilerplate(child))
+      .map(item => {
+        const marker = ordered ? `${number++}.` : '-';
+        const lines = this.childrenToMarkdown(item, itemContext)
+          .split('\n')
+          .map(line => line.replace(/\s+$/, ''))
+          .filter(line => line.trim());
+        if (lines.length === 0) return '';
+
+        // Nested list lines are already indented; other continuation lines are indented here
+        const [first, ...rest] = lines;
+        const continuation = rest.map(line =>
+          /^\u0001+(?:-|\d+\.) /.test(line) ? line : `${indent}\u0001${line.trim()}`
+        );
+        return [`${indent}${marker} ${first.trim()}`, ...continuation].join('\n');
+      })
+      .filter(Boolean);
+
+    return items.length > 0 ? `\n\n${items.join('\n')}\n\n` : '';
+  },
+
+  tableToMarkdown(table, context) {
+    const rows = Array.from(table.rows)
+      .map(row => Array.from(row.cells).map(cell =>
+        this.childrenToMarkdown(cell, context).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim()
+      ))
+      .filter(cells => cells.some(Boolean));
+    if (rows.length === 0) return '';
+
+    // Single-column tables are usually layout, so keep their cells as plain blocks
+    const width = Math.max(...rows.map(cells => cells.length));
+    if (width === 1) {
+      return '\n\n' + rows.map(cells => cells[0]).join('\n\n') + '\n\n';
+    }
+
+    const pad = cells => cells.concat(Array(width - cells.length).fill(''));
+    const formatRow = cells => `| ${pad(cells).join(' | ')} |`;
+    const [header, ...body] = rows;
+    return '\n\n' + [
+      formatRow(header),
+      `| ${Array(width).fill('---').join(' | ')} |`,
+      ...body.map(formatRow)
+    ].join('\n') + '\n\n';
+  },
+
+  // Collapse stray whitespace, restore list indentation and stashed code blocks
+  normalizeMarkdown(markdown, codeBlocks) {
+    return markdown
+      .split('\n')
+      .map(line => line
+        .trim()
+        .replace(/^\u0001+/, indent => '  '.repeat(indent.length)))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/\u0000CODE(\d+)\u0000/g, (match, index) => codeBlocks[Number(index)])
+      .trim();
+  },
+
+  // Split Markdown into [{ heading, level, content }] at each heading
+  splitSections(markdown) {
+    const sections = [];
+    let current = { heading: '', level: 0, lines: [] };
+    let inCodeBlock = false;
+
+    const pushCurrent = () => {
+      const content = current.lines.join('\n').trim();
+      if (current.heading || content) {
+        sections.push({ heading: current.heading, level: current.level, content });
+      }
+    };
+
+    markdown.split('\n').forEach(line => {
+      if (line.startsWith('```')) {
+        inCodeBlock = !inCodeBlock;
+      }
+
+      const headingMatch = !inCodeBlock && /^(#{1,6}) (.+)$/.exec(line);
+      if (headingMatch) {
+        pushCurrent();
+        current = { heading: headingMatch[2], level: headingMatch[1].length, lines: [] };
+      } else {
+        current.lines.push(line);
+      }
+    });
+    pushCurrent();
+
+    return sections;
+  },
+
+  // ---- PDF ----
+
+  pdfFallback: '(No text could be extracted from this PDF.)',
+
+  // Only the document itself; a page that merely embeds a PDF is read as HTML
+  isPdfDocument() {
+    return document.contentType === 'application/pdf';
+  },
+
+  async extractPdfText() {
+    try {
+      const response = await fetch(window.location.href);
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      const text = await this.readPdfText(bytes);
+      return text || this.pdfFallback;
+    } catch (error) {
+      console.error('Error extracting PDF text:', error);
+      return this.pdfFallback;
+    }
+  },
+
+  // CID fonts (Type0, Identity-H/V) show two-byte glyph ids that only the
+  // font's ToUnicode map turns into text
+  usesCidFonts(raw) {
+    return /\/Subtype\s*\/Type0|\/Identity-[HV]\b/.test(raw);
+  },
+
+  // Strings shown with custom font encodings come out as control characters
+  // and stray Latin-1 symbols rather than words
+  looksLikeText(text) {
+    const letters = text.replace(/\s+/g, '');
+    if (!letters) return false;
+    const unreadable = letters.match(/[\u0000-\u001f\u007f-\u00bf\u00d7\u00f7\ufffd]/g) || [];
+    return unreadable.length / letters.length < 0.1;
+  },
+
+  latin1(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+      text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+    }
+    return text;
+  },
+
+  // Read the text operators of every content stream in the file; resolves to
+  // '' when the text would only be glyph codes
+  async readPdfText(bytes) {
+    const raw = this.latin1(bytes);
+    if (this.usesCidFonts(raw)) return '';
+    const pages = [];
+    const streamPattern = /stream\r?\n/g;
+    let match;
+
+    while ((match = streamPattern.exec(raw))) {
+      const start = match.index + match[0].length;
+      const end = raw.indexOf('endstream', start);
+      if (end === -1) break;
+      streamPattern.lastIndex = end + 'endstream'.length;
+
+      // Skip images, embedded fonts, metadata and cross-reference streams
+      const dictionary = raw.slice(raw.lastIndexOf('<<', match.index), match.index);
+      if (/\/Subtype\s*\/Image|\/Length[23]|\/Type\s*\/(XRef|ObjStm|Metadata)/.test(dictionary)) continue;
+
+      let data = bytes.subarray(start, end);
+      if (/\/FlateDecode/.test(dictionary)) {
+        data = await this.inflate(data);
+      } else if (/\/Filter/.test(dictionary)) {
+        continue;
+      }
+
+      const text = this.parsePdfTextOperators(this.latin1(data)).trim();
+      if (text) {
+        pages.push(text);
+      }
+    }
+
+    const text = pages.join('\n\n');
+    return this.looksLikeText(text) ? text : '';
+  },
+
+  async inflate(data) {
+    const reader = new Blob([data]).stream()
+      .pipeThrough(new DecompressionStream('deflate'))
+      .getReader();
+    const parts = [];
+    let length = 0;
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parts.push(value);
+        length += value.length;
+      }
+    } catch (e) {
+      // Trailing bytes after the zlib data end the stream with an error; keep what was read
+    }
+
+    const output = new Uint8Array(length);
+    let offset = 0;
+    parts.forEach(part => {
+      output.set(part, offset);
+      offset += part.length;
+    });
+    return output;
+  },
+
+  // Tokenize a content stream and collect the strings shown by Tj, TJ, ' and "
+  parsePdfTextOperators(content) {
+    const arrayStart = {};
+    const operands = [];
+    const delimiters = /[\s()<>\[\]{}\/%]/;
+    let text = '';
+    let i = 0;
+
+    const lastString = () => {
+      const value = operands[operands.length - 1];
+      return typeof value === 'string' ? value : '';
+    };
+
+    while (i < content.length) {
+      const char = content[i];
+
+      if (char === '(') {
+        const [value, next] = this.readPdfString(content, i);
+        operands.push(value);
+        i = next;
+      } else if (char === '<' && content[i + 1] !== '<') {
+        const end = content.indexOf('>', i);
+        if (end === -1) break;
+        operands.push(this.decodePdfHexString(content.slice(i + 1, end)));
+        i = end + 1;
+      } else if (char === '[') {
+        operands.push(arrayStart);
+        i++;
+      } else if (char === ']') {
+        const start = operands.lastIndexOf(arrayStart);
+        const items = start === -1 ? [] : operands.splice(start).slice(1);
+        operands.push(items);
+        i++;
+      } else if (char === '%') {
+        const end = content.indexOf('\n', i);
+        i = end === -1 ? content.length : end + 1;
+      } else if (char === '/') {
+        let end = i + 1;
+        while (end < content.length && !delimiters.test(content[end])) end++;
+        operands.push({ name: content.slice(i + 1, end) });
+        i = end;
+      } else if (delimiters.test(char)) {
+        i++;
+      } else {
+        let end = i;
+        while (end < content.length && !delimiters.test(content[end])) end++;
+        const word = content.slice(i, end);
+        i = end;
+
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+          operands.push(Number(word));
+          continue;
+        }
+
+        switch (word) {
+          case 'Tj':
+            text += lastString();
+            break;
+          case "'":
+          case '"':
+            text += '\n' + lastString();
+            break;
+          case 'TJ': {
+            const items = operands[operands.length - 1];
+            if (Array.isArray(items)) {
+              items.forEach(item => {
+                if (typeof item === 'string') {
+                  text += item;
+                } else if (typeof item === 'number' && item < -200) {
+                  // Large negative kerning is how PDFs space words
+                  text += ' ';
+                }
+              });
+            }
+            break;
+          }
+          case 'Td':
+          case 'TD': {
+            const offsetY = operands[operands.length - 1];
+            text += typeof offsetY === 'number' && offsetY !== 0 ? '\n' : ' ';
+            break;
+          }
+          case 'T*':
+          case 'ET':
+            text += '\n';
+            break;
+          case 'ID': {
+            // Skip inline image data
+            const end = content.indexOf('EI', i);
+            i = end === -1 ? content.length : end + 2;
+            break;
+          }
+        }
+        operands.length = 0;
+      }
+    }
+
+    return text
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n');
+  },
+
+  // Read a literal (...) string starting at index; returns [value, next index]
+  readPdfString(content, index) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+    let depth = 1;
+    let value = '';
+    let i = index + 1;
+
+    while (i < content.length && depth > 0) {
+      const char = content[i];
+      if (char === '\\') {
+        const next = content[i + 1];
+        if (escapes[next] !== undefined) {
+          value += escapes[next];
+          i += 2;
+        } else if (/[0-7]/.test(next)) {
+          const octal = /^[0-7]{1,3}/.exec(content.slice(i + 1, i + 4))[0];
+          value += String.fromCharCode(parseInt(octal, 8));
+          i += 1 + octal.length;
+        } else {
+          // Line continuation or unknown escape
+          i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+        }
+        continue;
+      }
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (depth > 0) value += char;
+      i++;
+    }
+
+    return [this.decodePdfTextString(value), i];
+  },
+
+  decodePdfHexString(hex) {
+    const digits = hex.replace(/\s+/g, '');
+    let value = '';
+    for (let i = 0; i < digits.length; i += 2) {
+      value += String.fromCharCode(parseInt(digits.substr(i, 2).padEnd(2, '0'), 16));
+    }
+    return this.decodePdfTextString(value);
+  },
+
+  // Strings with a UTF-16BE byte order mark are Unicode; others are used as-is
+  decodePdfTextString(value) {
+    if (value.charCodeAt(0) !== 0xfe || value.charCodeAt(1) !== 0xff) return value;
+
+    let decoded = '';
+    for (let i = 2; i + 1 < value.length; i += 2) {
+      decoded += String.fromCharCode((value.charCodeAt(i) << 8) | value.charCodeAt(i + 1));
+    }
+    return decoded;
+  }
+};
@@ -0,0 +1,120 @@
+// Per-conversation generation settings and reusable presets
+//
+// Settings are { systemPrompt, temperature, topP, maxTokens, stop, seed, numCtx }.
+// A field that isn't set falls back to the model's default params. The
+// system prompt is sent as the first message; the other fields are mapped
+// onto each backend's request shape by its adapter (see buildRequest in
+// providers.js). A preset is { id, name, settings }.
+const generationSettings = {
+  storageKey: 'generationPresets',
+
+  // Numeric fields and their allowed ranges
+  numberFields: {
+    temperature: { label: 'Temperature', min: 0, max: 2 },
+    topP: { label: 'Top P', min: 0, max: 1 },
+    maxTokens: { label: 'Max tokens', min: 1, integer: true },
+    seed: { label: 'Seed', integer: true },
+    numCtx: { label: 'Context length (num_ctx)', min: 256, integer: true }
+  },
+
+  // Fields only some adapters understand (listed in the adapter's extraSettings)
+  extraFields: ['numCtx'],
+
+  // Shipped with the extension; used until presets are saved
+  builtIns: [
+    {
+      id: 'builtin-precise',
+      name: 'Precise',
+      settings: { temperature: 0.2, topP: 0.9 }
+    },
+    {
+      id: 'builtin-creative',
+      name: 'Creative',
+      settings: { temperature: 1.0, topP: 0.95 }
+    },
+    {
+      id: 'builtin-concise',
+      name: 'Concise answers',
+      settings: { systemPrompt: 'Answer briefly and to the point. Use lists where they help.' }
+    }
+  ],
+
+  // Get the preset list, falling back to the built-ins
+  getPresets() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.storageKey], (result) => {
+        const presets = result[this.storageKey];
+        resolve(Array.isArray(presets) ? presets : this.builtIns.map(preset => ({ ...preset })));
+      });
+    });
+  },
+
+  savePresets(presets) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.storageKey]: presets }, () => resolve(true));
+    });
+  },
+
+  // Keep only known fields with usable values; anything else is dropped
+  normalize(settings) {
+    const normalized = {};
+    if (!settings || typeof settings !== 'object') return normalized;
+
+    if (typeof settings.systemPrompt === 'string' && settings.systemPrompt.trim()) {
+      normalized.systemPrompt = settings.systemPrompt;
+    }
+    Object.keys(this.numberFields).forEach(name => {
+      if (typeof settings[name] === 'number' && Number.isFinite(settings[name])) {
+        normalized[name] = settings[name];
+      }
+    });
+    if (Array.isArray(settings.stop)) {
+      const stop = settings.stop.filter(sequence => typeof sequence === 'string' && sequence);
+      if (stop.length > 0) {
+        normalized.stop = stop;
+      }
+    }
+    return normalized;
+  },
+
+  // Return a list of human-readable problems with the settings
+  validate(settings) {
+    const errors = [];
+    Object.entries(this.numberFields).forEach(([name, field]) => {
+      const value = settings[name];
+      if (value === undefined) return;
+
+      if (!Number.isFinite(value)) {
+        errors.push(`${field.label} must be a number.`);
+      } else if (field.integer && !Number.isInteger(value)) {
+        errors.push(`${field.label} must be a whole number.`);
+      } else if (field.min !== undefined && value < field.min) {
+        errors.push(`${field.label} must be at least ${field.min}.`);
+      } else if (field.max !== undefined && value > field.max) {
+        errors.push(`${field.label} must be at most ${field.max}.`);
+      }
+    });
+    return errors;
+  },
+
+  isEmpty(settings) {
+    return Object.keys(this.normalize(settings)).length === 0;
+  },
+
+  // The settings an endpoint's adapter understands, e.g. num_ctx only for Ollama
+  forEndpoint(settings, endpoint) {
+    const supported = providerRegistry.get(endpoint.type).extraSettings || [];
+    const result = this.normalize(settings);
+    this.extraFields
+      .filter(name => !supported.includes(name))
+      .forEach(name => delete result[name]);
+    return result;
+  },
+
+  // Put the system prompt in front of the thread
+  withSystemPrompt(messages, settings) {
+    return settings.systemPrompt
+      ? [{ role: 'system', content: settings.systemPrompt }, ...messages]
+      : messages;
+  }
+};
@@ -0,0 +1,276 @@
+// Chat history storage shared by the popup, side panel and background worker
+//
+// Each chat is stored under its own key ("chat:<id>"), so saving one chat
+// never writes over another chat. Only the background worker writes: views
+// send their writes there ('chatHistoryWrite' messages), and the worker
+// applies them one at a time, each on the latest saved copy. So a view saving
+// its settings can't drop an answer the worker is adding to the same chat.
+const chatHistory = {
+  keyPrefix: 'chat:',
+  // Earlier versions kept every chat in one map under this key
+  legacyKey: 'chatHistory',
+  migrated: null,
+  isWorker: typeof window === 'undefined',
+  writeQueue: Promise.resolve(),
+  maxTitleLength: 40,
+
+  // Create a new, unsaved chat record
+  // settings holds the chat's system prompt and generation settings (see generation.js)
+  createChat({ model = '', pageUrl = '' } = {}) {
+    const now = Date.now();
+    return {
+      id: crypto.randomUUID(),
+      title: 'New chat',
+      model,
+      pageUrl,
+      createdAt: now,
+      updatedAt: now,
+      settings: {},
+      messages: []
+    };
+  },
+
+  // Build a chat title from the first user message
+  makeTitle(text) {
+    const title = (text || '').replace(/\s+/g, ' ').trim();
+    if (!title) return 'New chat';
+    return title.length > this.maxTitleLength
+      ? title.substring(0, this.maxTitleLength) + '...'
+      : title;
+  },
+
+  storageKey(id) {
+    return this.keyPrefix + id;
+  },
+
+  // Move chats from the old single map to their own keys, once per context
+  migrate() {
+    if (!this.migrated) {
+      this.migrated = this.isWorker
+        ? this.enqueue(() => this.moveLegacyChats())
+        : this.send('migrate', []).catch((error) => {
+          console.error('Error moving saved chats:', error);
+          this.migrated = null;
+        });
+    }
+    return this.migrated;
+  },
+
+  moveLegacyChats() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(null, (items) => {
+        const legacy = items[this.legacyKey];
+        if (!legacy) {
+          resolve();
+          return;
+        }
+        // A chat already saved under its own key is newer than the map's copy
+        const moved = {};
+        Object.values(legacy).forEach(chat => {
+          if (!items[this.storageKey(chat.id)]) {
+            moved[this.storageKey(chat.id)] = chat;
+          }
+        });
+        chrome.storage.local.set(moved, () => {
+          if (chrome.runtime.lastError) {
+            // Keep the old map and try again next time
+            console.error('Error moving saved chats:', chrome.runtime.lastError.message);
+            this.migrated = null;
+            resolve();
+            return;
+          }
+          chrome.storage.local.remove(this.legacyKey, () => resolve());
+        });
+      });
+    });
+  },
+
+  // Run a task after every write queued before it
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  },
+
+  // Apply a write (one of writeHandlers) in the worker, or send it there
+  async write(op, ...args) {
+    if (!this.isWorker) {
+      return this.send(op, args);
+    }
+    await this.migrate();
+    return this.enqueue(() => this.writeHandlers[op].apply(this, args));
+  },
+
+  send(op, args) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: 'chatHistoryWrite', op, args }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          reject(new Error(chrome.runtime.lastError ? chrome.runtime.lastError.message : 'The background worker did not answer.'));
+        } else if (response.error) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response.result);
+        }
+      });
+    });
+  },
+
+  // The writes, run by the worker one at a time with this as chatHistory
+  writeHandlers: {
+    // With keepMessages the saved turns stay as they are: views save their
+    // copy this way while an answer is being added to the chat
+    async save(chat, { keepMessages = false } = {}) {
+      const stored = await this.read(chat.id);
+      const saved = keepMessages && stored
+        ? { ...chat, messages: stored.messages }
+        : { ...chat, messages: this.keepCondensed(chat.messages, stored ? stored.messages : []) };
+      await this.put(saved);
+      return saved;
+    },
+
+    async appendTurn(id, turn) {
+      const chat = await this.read(id);
+      if (!chat) return null;
+      chat.messages.push(turn);
+      chat.updatedAt = Date.now();
+      await this.put(chat);
+      return chat;
+    },
+
+    // Change fields of a turn, if it is still the turn at index (it was
+    // created at createdAt)
+    async updateTurn(id, index, createdAt, fields) {
+      const chat = await this.read(id);
+      const turn = chat && chat.messages[index];
+      if (!turn || turn.createdAt !== createdAt) return null;
+      Object.assign(turn, fields);
+      await this.put(chat);
+      return chat;
+    },
+
+    async rename(id, title) {
+      const chat = await this.read(id);
+      if (!chat) return null;
+      chat.title = title.trim() || chat.title;
+      await this.put(chat);
+      return chat;
+    },
+
+    remove(id) {
+      return new Promise((resolve, reject) => {
+        chrome.storage.local.remove(this.storageKey(id), () => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else {
+            resolve(true);
+          }
+        });
+      });
+    },
+
+    migrate() {
+      return this.migrate();
+    }
+  },
+
+  // Load every saved chat, keyed by id
+  async getAll() {
+    await this.migrate();
+    return new Promise((resolve) => {
+      chrome.storage.local.get(null, (items) => {
+        const chats = {};
+        Object.keys(items).forEach(key => {
+          if (key.startsWith(this.keyPrefix)) {
+            chats[items[key].id] = items[key];
+          }
+        });
+        resolve(chats);
+      });
+    });
+  },
+
+  // Condensed context is added by the worker (see jobs.js), so a view's copy
+  // of the turn may not have it; keep it while the turn is unchanged
+  keepCondensed(messages, storedMessages) {
+    return messages.map((turn, index) => {
+      const stored = storedMessages[index];
+      return stored && stored.condensedContent && !turn.condensedContent &&
+        stored.createdAt === turn.createdAt && stored.content === turn.content
+        ? { ...turn, condensedContent: stored.condensedContent }
+        : turn;
+    });
+  },
+
+  // Persist one chat; rejects when storage refuses the write
+  put(chat) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [this.storageKey(chat.id)]: chat }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(true);
+        }
+      });
+    });
+  },
+
+  // List saved chats, newest first, optionally filtered by a search query
+  async list(query = '') {
+    const chats = Object.values(await this.getAll());
+    return chats
+      .filter(chat => this.matches(chat, query))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  },
+
+  // Full-text match against the title, page URL and message contents
+  matches(chat, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0) return true;
+
+    const haystack = [
+      chat.title,
+      chat.pageUrl,
+      ...chat.messages.map(turn => turn.content)
+    ].join('\n').toLowerCase();
+
+    return terms.every(term => haystack.includes(term));
+  },
+
+  async get(id) {
+    await this.migrate();
+    return this.read(id);
+  },
+
+  read(id) {
+    const key = this.storageKey(id);
+    return new Promise((resolve) => {
+      chrome.storage.local.get([key], (result) => {
+        resolve(result[key] || null);
+      });
+    });
+  },
+
+  // Save a chat and bump its updated timestamp; see writeHandlers.save for keepMessages
+  // Resolves to the saved chat
+  save(chat, { keepMessages = false } = {}) {
+    chat.updatedAt = Date.now();
+    return this.write('save', chat, { keepMessages });
+  },
+
+  // Add a turn to the end of a saved chat; resolves to the chat, or null if it was deleted
+  appendTurn(id, turn) {
+    return this.write('appendTurn', id, turn);
+  },
+
+  updateTurn(id, index, createdAt, fields) {
+    return this.write('updateTurn', id, index, createdAt, fields);
+  },
+
+  rename(id, title) {
+    return this.write('rename', id, title);
+  },
+
+  remove(id) {
+    return this.write('remove', id);
+  }
+};
@@ -0,0 +1,442 @@
+// Answer generation jobs, run by the background service worker
+//
+// Chat views (popup and side panel) start answers here instead of fetching
+// themselves, so an answer keeps streaming and gets saved when its view is
+// closed, and every view showing the chat follows it. Views talk to the
+// worker over a chrome.runtime.connect port named 'generation':
+//
+// View -> worker
+//   { type: 'subscribe', chatId }   follow a chat's jobs; a running job is
+//                                   replayed as 'start' with the output so far
+//   { type: 'start', jobId, chatId, model, settings, comparison?, tools?, tabId? }
+//                                   answer the saved chat (the view saves its question
+//                                   first); model is a selector value ("<endpoint>|<model>"),
+//                                   settings are the chat's (see generation.js);
+//                                   comparison is { id, index, count } for one column
+//                                   of a comparison (see compare.js); with tools set the
+//                                   model may call the browser tools (see tools.js) on tabId
+//   { type: 'abort', jobId }        stop; the partial answer is kept
+//   { type: 'approve', jobId, stepId, approved }
+//                                   answer a tool call that needs approval
+//   { type: 'running' }             answered with { type: 'running', jobs: [{ jobId, chatId }] }
+// Worker -> view
+//   { type: 'start', jobId, chatId, content, model, comparison, steps }
+//   { type: 'status', jobId, text, keep? }
+//                                   progress before the answer (condensing long context),
+//                                   '' when it's over; with keep set, a notice to leave in the chat
+//   { type: 'usage', jobId, stats } tokens used to condense context (see usage.js)
+//   { type: 'token', jobId, delta }
+//   { type: 'step', jobId, step }   a tool call started, is waiting for approval or
+//                                   finished; step is { id, name, arguments, status, result }
+//                                   with status 'running', 'approval', 'done', 'error' or 'declined'
+//   { type: 'done', jobId, turn }   turn is the assistant message, already saved to the chat,
+//                                   with the tool steps that led to it
+//   { type: 'abort', jobId, turn }  turn is the saved partial answer, or null
+//   { type: 'error', jobId, error }
+//   { type: 'compared', comparisonId, turn, error? }
+//                                   every column has finished; turn is the saved
+//                                   comparison turn, or null if no model answered
+//                                   or it could not be saved (error).
+//                                   Before that, a column's done/abort turn is not saved.
+const generationJobs = {
+  // Running jobs by id:
+  // { id, chatId, model, comparison, tabId, content, steps, approval, controller }
+  jobs: new Map(),
+  // Comparisons with columns still running, by id:
+  // { id, chatId, count, answers, finished: [events to replay a finished column] }
+  comparisons: new Map(),
+  // Chat id each connected view is following, by port
+  subscriptions: new Map(),
+  // Condensing of a question's long context, by "<chatId>:<turn index>", so
+  // the columns of a comparison wait for one condensing instead of each running it
+  condensing: new Map(),
+  keepAliveTimer: null,
+  // Rounds of tool calls before the model has to answer without tools
+  maxToolRounds: 5,
+  // A tool call nobody answers is declined after this long
+  approvalTimeoutMs: 5 * 60 * 1000,
+
+  // Handle a view's port
+  connect(port) {
+    this.subscriptions.set(port, null);
+    port.onDisconnect.addListener(() => this.subscriptions.delete(port));
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'subscribe') {
+        this.subscribe(port, message.chatId);
+      } else if (message.type === 'start') {
+        this.subscriptions.set(port, message.chatId);
+        this.start(message);
+      } else if (message.type === 'abort') {
+        this.abort(message.jobId);
+      } else if (message.type === 'approve') {
+        this.approve(message);
+      } else if (message.type === 'running') {
+        const jobs = Array.from(this.jobs.values()).map(job => ({ jobId: job.id, chatId: job.chatId }));
+        port.postMessage({ type: 'running', jobs });
+      }
+    });
+  },
+
+  subscribe(port, chatId) {
+    this.subscriptions.set(port, chatId);
+    // Columns of a comparison that already finished come first
+    this.comparisons.forEach(comparison => {
+      if (comparison.chatId === chatId) {
+        comparison.finished.forEach(events => events.forEach(message => port.postMessage(message)));
+      }
+    });
+    this.jobs.forEach(job => {
+      if (job.chatId === chatId) {
+        port.postMessage(this.getStartMessage(job));
+      }
+    });
+  },
+
+  getStartMessage(job) {
+    return {
+      type: 'start',
+      jobId: job.id,
+      chatId: job.chatId,
+      content: job.content,
+      model: job.model,
+      comparison: job.comparison,
+      steps: job.steps
+    };
+  },
+
+  // Send a job event to every view following the chat
+  broadcast(chatId, message) {
+    this.subscriptions.forEach((subscribedChatId, port) => {
+      if (subscribedChatId === chatId) {
+        port.postMessage(message);
+      }
+    });
+  },
+
+  async start({ jobId, chatId, model: modelKey, settings, comparison = null, tools = false, tabId = null }) {
+    const job = {
+      id: jobId,
+      chatId,
+      model: modelKey,
+      comparison,
+      tabId,
+      content: '',
+      steps: [],
+      approval: null,
+      controller: new AbortController()
+    };
+    this.jobs.set(jobId, job);
+    this.keepAlive();
+    this.broadcast(chatId, this.getStartMessage(job));
+
+    try {
+      const endpoints = await apiConfig.getEndpoints();
+      // The selection may be a model discovered on the server rather than a configured one
+      const selection = modelDiscovery.findModel(endpoints, modelKey);
+      if (!selection) {
+        throw new Error('No model selected. Add one on the settings page.');
+      }
+
+      const messages = await this.prepareMessages(job, selection, settings);
+      const result = await this.generate(job, selection, messages, settings, tools);
+
+      const turn = {
+        role: 'assistant',
+        content: result.content,
+        stats: usageStats.summarize(result),
+        createdAt: Date.now()
+      };
+      if (job.steps.length > 0) {
+        turn.steps = job.steps;
+      }
+      if (comparison) {
+        await this.finishColumn(job, { model: modelKey, content: turn.content, stats: turn.stats },
+          { type: 'done', jobId, turn });
+      } else {
+        await this.appendToChat(chatId, turn);
+        this.broadcast(chatId, { type: 'done', jobId, turn });
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Stopped: keep whatever was streamed so far
+        const turn = job.content ? { role: 'assistant', content: job.content, createdAt: Date.now() } : null;
+        if (turn && job.steps.length > 0) {
+          turn.steps = job.steps;
+        }
+        if (comparison) {
+          await this.finishColumn(job, { model: modelKey, content: job.content, stopped: true },
+            { type: 'abort', jobId, turn });
+        } else {
+          try {
+            if (turn) {
+              await this.appendToChat(chatId, turn);
+            }
+            this.broadcast(chatId, { type: 'abort', jobId, turn });
+          } catch (saveError) {
+            this.broadcast(chatId, { type: 'error', jobId, error: saveError.message });
+          }
+        }
+      } else {
+        console.error('Error generating answer:', error);
+        if (comparison) {
+          await this.finishColumn(job, { model: modelKey, content: '', error: error.message },
+            { type: 'error', jobId, error: error.message });
+        } else {
+          this.broadcast(chatId, { type: 'error', jobId, error: error.message });
+        }
+      }
+    } finally {
+      this.jobs.delete(jobId);
+      this.keepAlive();
+    }
+  },
+
+  // Fit the saved thread into the model's context window
+  // Context attached to the newest question that is too long is condensed
+  // map-reduce style and saved on the turn, so later answers reuse it; then
+  // the oldest turns are dropped until the prompt fits
+  // The chat's system prompt goes first and is never dropped
+  async prepareMessages(job, selection, settings) {
+    const chat = await chatHistory.get(job.chatId);
+    if (!chat) {
+      throw new Error('The chat was deleted.');
+    }
+    const budget = contextBudget.getPromptBudget(selection.model, settings);
+    const index = chat.messages.length - 1;
+    const lastTurn = chat.messages[index];
+
+    if (lastTurn && lastTurn.role === 'user' && !lastTurn.condensedContent &&
+        contextBudget.estimateTokens(lastTurn.content) > budget * 0.75) {
+      const key = `${job.chatId}:${index}`;
+      if (!this.condensing.has(key)) {
+        this.condensing.set(key, this.condenseTurn(job, index, lastTurn, selection, settings, budget)
+          .finally(() => this.condensing.delete(key)));
+      }
+      lastTurn.condensedContent = await this.condensing.get(key);
+    }
+
+    // Replay every previous turn so follow-up questions have context
+    const requestMessages = generationSettings.withSystemPrompt(
+      chat.messages.map(({ role, content, condensedContent }) => ({
+        role,
+        content: condensedContent || content
+      })),
+      settings
+    );
+
+    const { messages, droppedCount } = contextBudget.trimConversation(requestMessages, budget);
+    if (droppedCount > 0) {
+      this.broadcast(job.chatId, {
+        type: 'status',
+        jobId: job.id,
+        text: `${droppedCount} earlier message(s) were left out to fit the model's context window.`,
+        keep: true
+      });
+    }
+    return messages;
+  },
+
+  // Condense a question's attached context, keeping the typed question as-is,
+  // and save the result on the turn; resolves to the condensed content
+  async condenseTurn(job, index, turn, { endpoint, model }, settings, budget) {
+    const text = turn.text || '';
+    const hasTypedText = text && turn.content.startsWith(text);
+    const longText = hasTypedText ? turn.content.slice(text.length).trim() : turn.content;
+    const status = (statusText) => this.broadcast(job.chatId, { type: 'status', jobId: job.id, text: statusText });
+
+    status('Condensing long context...');
+    try {
+      const summary = await contextBudget.condense({
+        text: longText,
+        question: hasTypedText ? text : '',
+        targetTokens: Math.floor(budget / 2),
+        chunkTokens: Math.floor(budget * 0.6),
+        complete: async (prompt) => {
+          const promptMessages = [{ role: 'user', content: prompt }];
+          const result = await streamCompletion({
+            endpoint,
+            model,
+            messages: promptMessages,
+            settings,
+            signal: job.controller.signal
+          });
+          const stats = usageStats.summarize({ ...result, requestMessages: promptMessages });
+          this.broadcast(job.chatId, { type: 'usage', jobId: job.id, stats });
+          return result.content.trim();
+        },
+        onProgress: ({ round, part, parts }) => {
+          status(round > 1
+            ? `Combining summaries: part ${part} of ${parts}...`
+            : `Condensing long context: part ${part} of ${parts}...`);
+        }
+      });
+
+      const condensedContent = hasTypedText
+        ? `${text}\n\nContext (condensed from a longer text):\n${summary}`
+        : summary;
+      await chatHistory.updateTurn(job.chatId, index, turn.createdAt, { condensedContent });
+      return condensedContent;
+    } finally {
+      status('');
+    }
+  },
+
+  // Stream an answer; with tools on, run the tool calls the model makes and
+  // send their results back until it answers without calling any
+  // Resolves to the last request's result, with the text of every round as
+  // content and the messages it was sent as requestMessages
+  async generate(job, { endpoint, model }, messages, settings, useTools) {
+    const adapter = providerRegistry.get(endpoint.type);
+    const tools = useTools && adapter.supportsTools ? browserTools.getDefinitions() : undefined;
+    const thread = messages.slice();
+
+    for (let round = 0; ; round++) {
+      const roundTools = round < this.maxToolRounds ? tools : undefined;
+      // Text from earlier rounds stays in front, as its own paragraph
+      const previous = job.content ? `${job.content}\n\n` : '';
+      const result = await streamCompletion({
+        endpoint,
+        model,
+        messages: thread,
+        settings,
+        tools: roundTools,
+        signal: job.controller.signal,
+        onContent: (delta, content) => {
+          const separator = previous && content === delta ? '\n\n' : '';
+          job.content = previous + content;
+          this.broadcast(job.chatId, { type: 'token', jobId: job.id, delta: separator + delta });
+        }
+      });
+
+      if (!roundTools || result.toolCalls.length === 0) {
+        return { ...result, content: job.content, requestMessages: thread };
+      }
+
+      thread.push(adapter.formatToolCalls(result.content, result.toolCalls));
+      for (const call of result.toolCalls) {
+        // A Stop while a tool ran ends the job before the next call or round
+        job.controller.signal.throwIfAborted();
+        const step = await this.runTool(job, call);
+        thread.push(adapter.formatToolResult(call, step.result));
+      }
+      job.controller.signal.throwIfAborted();
+    }
+  },
+
+  // Run one tool call as a step of the job, asking for approval first if the
+  // tool needs it; views follow the step through 'step' events
+  async runTool(job, call) {
+    const step = { id: crypto.randomUUID(), name: call.name, arguments: call.arguments, status: 'running', result: '' };
+    job.steps.push(step);
+    const update = () => this.broadcast(job.chatId, { type: 'step', jobId: job.id, step });
+
+    const tool = browserTools.get(call.name);
+    if (tool && tool.requiresApproval) {
+      step.status = 'approval';
+      update();
+      if (!(await this.waitForApproval(job, step))) {
+        step.status = 'declined';
+        step.result = 'The user declined this action.';
+        update();
+        return step;
+      }
+      step.status = 'running';
+    }
+
+    update();
+    Object.assign(step, await browserTools.execute(call, { tabId: job.tabId }));
+    update();
+    return step;
+  },
+
+  // Resolves to whether a view approved the step; stopping the job while it
+  // waits (or before) rejects with an AbortError
+  waitForApproval(job, step) {
+    const signal = job.controller.signal;
+    const stop = () => {
+      step.status = 'declined';
+      step.result = 'Stopped before it was approved.';
+    };
+    if (signal.aborted) {
+      stop();
+      return Promise.reject(new DOMException('Stopped', 'AbortError'));
+    }
+
+    let onAbort;
+    let timer;
+    return new Promise((resolve, reject) => {
+      timer = setTimeout(() => resolve(false), this.approvalTimeoutMs);
+      job.approval = { stepId: step.id, resolve };
+      onAbort = () => {
+        stop();
+        reject(new DOMException('Stopped', 'AbortError'));
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+    }).finally(() => {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', onAbort);
+      job.approval = null;
+    });
+  },
+
+  approve({ jobId, stepId, approved }) {
+    const job = this.jobs.get(jobId);
+    if (job && job.approval && job.approval.stepId === stepId) {
+      job.approval.resolve(Boolean(approved));
+    }
+  },
+
+  abort(jobId) {
+    const job = this.jobs.get(jobId);
+    if (job) {
+      job.controller.abort();
+    }
+  },
+
+  // Record a finished comparison column; once every column has finished,
+  // save their answers as one turn (see compare.js)
+  async finishColumn(job, answer, event) {
+    const { id, index, count } = job.comparison;
+    if (!this.comparisons.has(id)) {
+      this.comparisons.set(id, { id, chatId: job.chatId, count, answers: [], finished: [] });
+    }
+    const comparison = this.comparisons.get(id);
+    comparison.answers[index] = answer;
+    comparison.finished.push([{ ...this.getStartMessage(job), content: answer.content }, event]);
+    this.broadcast(job.chatId, event);
+
+    if (comparison.finished.length < count) return;
+
+    this.comparisons.delete(id);
+    const turn = modelComparison.createTurn(comparison.answers);
+    try {
+      if (turn) {
+        await this.appendToChat(job.chatId, turn);
+      }
+      this.broadcast(job.chatId, { type: 'compared', comparisonId: id, turn });
+    } catch (error) {
+      this.broadcast(job.chatId, { type: 'compared', comparisonId: id, turn: null, error: error.message });
+    }
+  },
+
+  // Save the answer to the chat the question was asked in (unless it was deleted meanwhile)
+  async appendToChat(chatId, turn) {
+    try {
+      await chatHistory.appendTurn(chatId, turn);
+    } catch (error) {
+      throw new Error(`Could not save the answer: ${error.message}`);
+    }
+  },
+
+  // An idle service worker is stopped after about 30 seconds, even while a
+  // response is streaming; calling an extension API resets that timer
+  keepAlive() {
+    if (this.jobs.size > 0 && !this.keepAliveTimer) {
+      this.keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(() => {}), 20000);
+    } else if (this.jobs.size === 0 && this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+  }
+};
@@ -0,0 +1,328 @@
+// Options page for managing LLM endpoints and models
+document.addEventListener('DOMContentLoaded', function() {
+  const endpointList = document.getElementById('endpoint-list');
+  const addEndpointButton = document.getElementById('add-endpoint');
+  const resetEndpointsButton = document.getElementById('reset-endpoints');
+  const saveEndpointsButton = document.getElementById('save-endpoints');
+  const optionsStatus = document.getElementById('options-status');
+  const endpointTemplate = document.getElementById('endpoint-template');
+  const modelTemplate = document.getElementById('model-template');
+  const templateList = document.getElementById('template-list');
+  const templateRowTemplate = document.getElementById('prompt-template-row');
+  const addTemplateButton = document.getElementById('add-template');
+  const importTemplatesButton = document.getElementById('import-templates');
+  const importTemplatesFile = document.getElementById('import-templates-file');
+  const exportTemplatesButton = document.getElementById('export-templates');
+  const resetTemplatesButton = document.getElementById('reset-templates');
+  const saveTemplatesButton = document.getElementById('save-templates');
+  const templatesStatus = document.getElementById('templates-status');
+  const actionList = document.getElementById('action-list');
+  const actionRowTemplate = document.getElementById('action-row-template');
+  const addActionButton = document.getElementById('add-action');
+  const resetActionsButton = document.getElementById('reset-actions');
+  const saveActionsButton = document.getElementById('save-actions');
+  const actionsStatus = document.getElementById('actions-status');
+
+  // Show a status or error message under the action buttons
+  function showStatus(messages, isError = false, statusElement = optionsStatus) {
+    const lines = Array.isArray(messages) ? messages : [messages];
+    statusElement.innerHTML = '';
+    lines.forEach(line => {
+      const div = document.createElement('div');
+      div.textContent = line;
+      statusElement.appendChild(div);
+    });
+    statusElement.classList.toggle('error', isError);
+    statusElement.classList.remove('hidden');
+  }
+
+  // Add a model row to an endpoint card
+  function addModelRow(card, model = { id: '', name: '', params: {} }) {
+    const row = modelTemplate.content.firstElementChild.cloneNode(true);
+    row.querySelector('.model-id').value = model.id;
+    row.querySelector('.model-name').value = model.name;
+    row.querySelector('.model-context-length').value = model.contextLength || '';
+    row.querySelector('.model-params').value = JSON.stringify(model.params || {}, null, 2);
+    row.querySelector('.remove-model').addEventListener('click', () => row.remove());
+    card.querySelector('.model-list').appendChild(row);
+  }
+
+  // Add an endpoint card to the page
+  function addEndpointCard(endpoint) {
+    const card = endpointTemplate.content.firstElementChild.cloneNode(true);
+    card.dataset.id = endpoint.id;
+
+    const typeSelect = card.querySelector('.endpoint-type');
+    providerRegistry.list().forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      typeSelect.appendChild(option);
+    });
+
+    card.querySelector('.endpoint-name').value = endpoint.name;
+    typeSelect.value = endpoint.type;
+    card.querySelector('.endpoint-url').value = endpoint.url;
+    card.querySelector('.endpoint-api-key').value = endpoint.apiKey || '';
+    endpoint.models.forEach(model => addModelRow(card, model));
+
+    card.querySelector('.add-model').addEventListener('click', () => addModelRow(card));
+    card.querySelector('.remove-endpoint').addEventListener('click', () => card.remove());
+    endpointList.appendChild(card);
+  }
+
+  function renderEndpoints(endpoints) {
+    endpointList.innerHTML = '';
+    endpoints.forEach(addEndpointCard);
+  }
+
+  // Read the endpoint list back from the form
+  // Params that are not valid JSON are kept as null so validation reports them
+  function readEndpoints() {
+    return Array.from(endpointList.querySelectorAll('.endpoint-card')).map(card => ({
+      id: card.dataset.id,
+      type: card.querySelector('.endpoint-type').value,
+      name: card.querySelector('.endpoint-name').value.trim(),
+      url: card.querySelector('.endpoint-url').value.trim(),
+      apiKey: card.querySelector('.endpoint-api-key').value.trim(),
+      models: Array.from(card.querySelectorAll('.model-row')).map(row => {
+        let params = null;
+        try {
+          params = JSON.parse(row.querySelector('.model-params').value || '{}');
+        } catch (e) {
+          params = null;
+        }
+        const id = row.querySelector('.model-id').value.trim();
+        const contextLength = row.querySelector('.model-context-length').value.trim();
+        return {
+          id,
+          name: row.querySelector('.model-name').value.trim() || id,
+          contextLength: contextLength ? Number(contextLength) : undefined,
+          params
+        };
+      })
+    }));
+  }
+
+  // Ask for access to endpoint hosts that aren't covered by the manifest
+  function requestHostPermissions(endpoints) {
+    const origins = [...new Set(endpoints.map(endpoint => new URL(endpoint.url).origin + '/*'))];
+    return new Promise((resolve) => {
+      chrome.permissions.request({ origins }, (granted) => {
+        if (chrome.runtime.lastError) {
+          console.error('Error requesting host permissions:', chrome.runtime.lastError);
+          resolve(false);
+        } else {
+          resolve(granted);
+        }
+      });
+    });
+  }
+
+  addEndpointButton.addEventListener('click', () => {
+    addEndpointCard({
+      id: crypto.randomUUID(),
+      type: 'openai',
+      name: '',
+      url: '',
+      apiKey: '',
+      models: [{ id: '', name: '', params: { stream: true } }]
+    });
+  });
+
+  saveEndpointsButton.addEventListener('click', async () => {
+    const endpoints = readEndpoints();
+    const errors = apiConfig.validateEndpoints(endpoints);
+    if (errors.length > 0) {
+      showStatus(errors, true);
+      return;
+    }
+
+    const granted = await requestHostPermissions(endpoints);
+
+    try {
+      await apiConfig.saveEndpoints(endpoints);
+      showStatus(granted
+        ? 'Settings saved.'
+        : 'Settings saved, but host access was not granted. Requests to new servers may fail.',
+      !granted);
+    } catch (errors) {
+      showStatus(errors, true);
+    }
+  });
+
+  resetEndpointsButton.addEventListener('click', async () => {
+    if (!confirm('Replace all endpoints with the defaults from config.js?')) return;
+    await apiConfig.resetEndpoints();
+    renderEndpoints(apiConfig.getDefaultEndpoints());
+    showStatus('Defaults restored.');
+  });
+
+  apiConfig.getEndpoints().then(renderEndpoints);
+
+  // ---- Prompt templates ----
+
+  function addTemplateRow(template = { id: crypto.randomUUID(), command: '', name: '', prompt: '' }) {
+    const row = templateRowTemplate.content.firstElementChild.cloneNode(true);
+    row.dataset.id = template.id;
+    row.querySelector('.template-command').value = template.command;
+    row.querySelector('.template-name').value = template.name;
+    row.querySelector('.template-prompt').value = template.prompt;
+    row.querySelector('.remove-template').addEventListener('click', () => row.remove());
+    templateList.appendChild(row);
+  }
+
+  function renderTemplates(templates) {
+    templateList.innerHTML = '';
+    templates.forEach(template => addTemplateRow(template));
+  }
+
+  // Read the template list back from the form
+  function readTemplates() {
+    return Array.from(templateList.querySelectorAll('.template-row')).map(row => {
+      const command = row.querySelector('.template-command').value.trim().replace(/^\//, '');
+      return {
+        id: row.dataset.id,
+        command,
+        name: row.querySelector('.template-name').value.trim() || command,
+        prompt: row.querySelector('.template-prompt').value
+      };
+    });
+  }
+
+  addTemplateButton.addEventListener('click', () => addTemplateRow());
+
+  saveTemplatesButton.addEventListener('click', async () => {
+    try {
+      await promptTemplates.save(readTemplates());
+      showStatus('Templates saved.', false, templatesStatus);
+    } catch (errors) {
+      showStatus(errors, true, templatesStatus);
+    }
+  });
+
+  resetTemplatesButton.addEventListener('click', async () => {
+    if (!confirm('Replace all templates with the built-in ones?')) return;
+    await promptTemplates.reset();
+    renderTemplates(await promptTemplates.getAll());
+    showStatus('Built-in templates restored.', false, templatesStatus);
+  });
+
+  exportTemplatesButton.addEventListener('click', () => {
+    const blob = new Blob([promptTemplates.toJson(readTemplates())], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'llm-chat-templates.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  importTemplatesButton.addEventListener('click', () => importTemplatesFile.click());
+
+  // Imported templates are merged into the form; same command replaces the existing one
+  importTemplatesFile.addEventListener('change', async () => {
+    const file = importTemplatesFile.files[0];
+    importTemplatesFile.value = '';
+    if (!file) return;
+
+    try {
+      const imported = promptTemplates.fromJson(await file.text());
+      renderTemplates(promptTemplates.merge(readTemplates(), imported));
+      showStatus(`Imported ${imported.length} template(s). Click Save to keep them.`, false, templatesStatus);
+    } catch (error) {
+      showStatus(`Import failed: ${error.message}`, true, templatesStatus);
+    }
+  });
+
+  promptTemplates.getAll().then(renderTemplates);
+
+  // ---- Context menu actions ----
+
+  // Model choices for actions, from the saved endpoints
+  let savedEndpoints = [];
+
+  function fillActionModelSelect(select, selectedKey) {
+    select.innerHTML = '';
+    const chatOption = document.createElement('option');
+    chatOption.value = '';
+    chatOption.textContent = "Chat's selected model";
+    select.appendChild(chatOption);
+
+    savedEndpoints.forEach(endpoint => {
+      endpoint.models.forEach(model => {
+        const option = document.createElement('option');
+        option.value = apiConfig.getModelKey(endpoint, model);
+        option.textContent = `${endpoint.name} - ${model.name}`;
+        select.appendChild(option);
+      });
+    });
+
+    // Keep a model that is no longer configured visible instead of silently switching
+    if (selectedKey && !apiConfig.findModel(savedEndpoints, selectedKey)) {
+      const missingOption = document.createElement('option');
+      missingOption.value = selectedKey;
+      missingOption.textContent = `${selectedKey} (not configured)`;
+      select.appendChild(missingOption);
+    }
+    select.value = selectedKey || '';
+  }
+
+  function addActionRow(action = { id: crypto.randomUUID(), title: '', prompt: '{{selection}}', model: '', target: 'overlay' }) {
+    const row = actionRowTemplate.content.firstElementChild.cloneNode(true);
+    row.dataset.id = action.id;
+    row.querySelector('.action-title').value = action.title;
+    row.querySelector('.action-prompt').value = action.prompt;
+
+    const targetSelect = row.querySelector('.action-target');
+    Object.entries(menuActions.targets).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      targetSelect.appendChild(option);
+    });
+    targetSelect.value = action.target;
+
+    fillActionModelSelect(row.querySelector('.action-model'), action.model);
+    row.querySelector('.remove-template').addEventListener('click', () => row.remove());
+    actionList.appendChild(row);
+  }
+
+  function renderActions(actions) {
+    actionList.innerHTML = '';
+    actions.forEach(action => addActionRow(action));
+  }
+
+  // Read the action list back from the form
+  function readActions() {
+    return Array.from(actionList.querySelectorAll('.action-row')).map(row => ({
+      id: row.dataset.id,
+      title: row.querySelector('.action-title').value.trim(),
+      prompt: row.querySelector('.action-prompt').value,
+      model: row.querySelector('.action-model').value,
+      target: row.querySelector('.action-target').value
+    }));
+  }
+
+  addActionButton.addEventListener('click', () => addActionRow());
+
+  saveActionsButton.addEventListener('click', async () => {
+    try {
+      await menuActions.save(readActions());
+      showStatus('Actions saved. The context menu has been updated.', false, actionsStatus);
+    } catch (errors) {
+      showStatus(errors, true, actionsStatus);
+    }
+  });
+
+  resetActionsButton.addEventListener('click', async () => {
+    if (!confirm('Replace all actions with the defaults?')) return;
+    await menuActions.reset();
+    renderActions(await menuActions.getAll());
+    showStatus('Default actions restored.', false, actionsStatus);
+  });
+
+  Promise.all([apiConfig.getEndpoints(), menuActions.getAll()]).then(([endpoints, actions]) => {
+    savedEndpoints = endpoints;
+    renderActions(actions);
+  });
+});
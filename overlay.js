@@ -0,0 +1,411 @@
+// In-page UI: a toolbar next to text selections and a floating answer card
+//
+// Both live in closed shadow roots so page styles don't leak in (and ours
+// don't leak out). The answer is rendered with marked/highlight.js, which
+// background.js injects the first time a card opens, so pages that never show
+// one don't load them; highlight.css is a web accessible resource.
+
+// Load marked and highlight.js into this content script once
+let answerRendererReady = null;
+
+function loadAnswerRenderer() {
+  if (typeof marked !== 'undefined' && typeof hljs !== 'undefined') {
+    return Promise.resolve(true);
+  }
+  if (!answerRendererReady) {
+    answerRendererReady = chrome.runtime.sendMessage({ action: 'loadAnswerRenderer' })
+      .then(response => Boolean(response && response.success))
+      .catch(() => false);
+  }
+  return answerRendererReady;
+}
+
+// Floating card that shows a streamed answer
+const answerCard = {
+  host: null,
+  elements: null,
+  content: '',
+  chatId: null,
+  state: null,
+  renderScheduled: false,
+  // Called with the question from the question box
+  onAsk: null,
+  // Called when the card is closed
+  onClose: null,
+  // Called by the optional extra header button (e.g. Undo)
+  onExtraAction: null,
+
+  create() {
+    // Start loading the renderer while the question is being answered
+    loadAnswerRenderer();
+    this.host = document.createElement('div');
+    this.host.style.cssText = 'position: absolute; z-index: 2147483647; top: 0; left: 0;';
+    const shadow = this.host.attachShadow({ mode: 'closed' });
+
+    shadow.innerHTML = `
+      <link rel="stylesheet" href="${chrome.runtime.getURL('highlight.css')}">
+      <style>
+        .card {
+          width: 380px;
+          max-height: 60vh;
+          display: flex;
+          flex-direction: column;
+          background: #fff;
+          color: #202124;
+          border: 1px solid #dadce0;
+          border-radius: 8px;
+          box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+          font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          text-align: left;
+        }
+        .header {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          padding: 6px 8px 6px 12px;
+          border-bottom: 1px solid #eee;
+          font-weight: 600;
+          cursor: move;
+          user-select: none;
+        }
+        .title {
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        button {
+          border: none;
+          background: none;
+          padding: 2px 6px;
+          border-radius: 4px;
+          font: inherit;
+          font-size: 13px;
+          font-weight: normal;
+          color: #5f6368;
+          cursor: pointer;
+        }
+        button:hover:not(:disabled) { background: #f1f3f4; }
+        button:disabled { opacity: 0.4; cursor: default; }
+        button.hidden { display: none; }
+        .close { font-size: 18px; line-height: 1; }
+        .question {
+          display: flex;
+          gap: 6px;
+          padding: 8px 12px;
+          border-bottom: 1px solid #eee;
+        }
+        .question.hidden { display: none; }
+        .question input {
+          flex: 1;
+          padding: 6px 8px;
+          border: 1px solid #dadce0;
+          border-radius: 6px;
+          font: inherit;
+        }
+        .body {
+          padding: 8px 12px;
+          overflow-y: auto;
+          word-wrap: break-word;
+        }
+        .body:empty { display: none; }
+        .body.loading { color: #5f6368; }
+        .body.plain { white-space: pre-wrap; }
+        .body.error { color: #d93025; white-space: pre-wrap; }
+        .body p { margin: 0 0 8px; }
+        .body pre {
+          margin: 8px 0;
+          padding: 8px;
+          background: #f6f8fa;
+          border-radius: 6px;
+          overflow-x: auto;
+        }
+        .body code { font-family: Menlo, Consolas, monospace; font-size: 12px; }
+      </style>
+      <div class="card">
+        <div class="header">
+          <span class="title"></span>
+          <button class="extra hidden"></button>
+          <button class="copy" title="답변 복사">Copy</button>
+          <button class="continue" title="사이드 패널에서 이어서 대화">Continue in side panel</button>
+          <button class="close" title="닫기">×</button>
+        </div>
+        <form class="question hidden">
+          <input type="text" placeholder="Ask about the selection...">
+          <button type="submit">Ask</button>
+        </form>
+        <div class="body"></div>
+      </div>
+    `;
+
+    this.elements = {
+      header: shadow.querySelector('.header'),
+      title: shadow.querySelector('.title'),
+      extra: shadow.querySelector('.extra'),
+      copy: shadow.querySelector('.copy'),
+      continueButton: shadow.querySelector('.continue'),
+      question: shadow.querySelector('.question'),
+      questionInput: shadow.querySelector('.question input'),
+      body: shadow.querySelector('.body')
+    };
+
+    shadow.querySelector('.close').addEventListener('click', () => this.hide());
+
+    this.elements.extra.addEventListener('click', () => {
+      if (this.onExtraAction) {
+        this.onExtraAction();
+      }
+    });
+
+    this.elements.copy.addEventListener('click', async () => {
+      await navigator.clipboard.writeText(this.content);
+      this.elements.copy.textContent = 'Copied';
+      setTimeout(() => {
+        this.elements.copy.textContent = 'Copy';
+      }, 1500);
+    });
+
+    this.elements.continueButton.addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'continueInSidePanel', chatId: this.chatId });
+      this.hide();
+    });
+
+    this.elements.question.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const question = this.elements.questionInput.value.trim();
+      if (!question || !this.onAsk) return;
+      this.elements.question.classList.add('hidden');
+      this.onAsk(question);
+    });
+
+    this.enableDragging();
+    document.documentElement.appendChild(this.host);
+  },
+
+  // Drag the card by its header
+  enableDragging() {
+    this.elements.header.addEventListener('mousedown', (e) => {
+      if (e.target.closest('button')) return;
+      e.preventDefault();
+
+      const startLeft = parseFloat(this.host.style.left);
+      const startTop = parseFloat(this.host.style.top);
+      const startX = e.pageX;
+      const startY = e.pageY;
+
+      const onMove = (moveEvent) => {
+        this.host.style.left = `${startLeft + moveEvent.pageX - startX}px`;
+        this.host.style.top = `${startTop + moveEvent.pageY - startY}px`;
+      };
+      const onUp = () => {
+        document.removeEventListener('mousemove', onMove);
+        document.removeEventListener('mouseup', onUp);
+      };
+      document.addEventListener('mousemove', onMove);
+      document.addEventListener('mouseup', onUp);
+    });
+  },
+
+  // Place the card below the anchor rect (viewport coordinates), or in the
+  // top right corner without one; it scrolls with the page
+  position(anchorRect) {
+    const cardWidth = 380;
+    let left = window.innerWidth - cardWidth - 16;
+    let top = 16;
+
+    if (anchorRect) {
+      left = Math.min(Math.max(anchorRect.left, 8), window.innerWidth - cardWidth - 16);
+      top = anchorRect.bottom + 8;
+      if (top > window.innerHeight - 200) {
+        top = Math.max(anchorRect.top - 8 - window.innerHeight * 0.6, 8);
+      }
+    }
+
+    this.host.style.left = `${left + window.scrollX}px`;
+    this.host.style.top = `${top + window.scrollY}px`;
+  },
+
+  // Open (or reuse) the card for a new answer
+  open(title, anchorRect) {
+    if (!this.host || !this.host.isConnected) {
+      this.create();
+    }
+    this.onAsk = null;
+    this.setExtraAction(null);
+    this.elements.question.classList.add('hidden');
+    this.elements.title.textContent = title;
+    this.position(anchorRect);
+    this.setState('loading', '');
+  },
+
+  // Show an extra header button, or hide it when label is null
+  setExtraAction(label, title = '', onClick = null) {
+    this.onExtraAction = onClick;
+    this.elements.extra.textContent = label || '';
+    this.elements.extra.title = title;
+    this.elements.extra.classList.toggle('hidden', !label);
+  },
+
+  // Show the question box; onAsk(question) is called when it's submitted
+  askQuestion(onAsk) {
+    this.onAsk = onAsk;
+    this.elements.body.textContent = '';
+    this.elements.body.className = 'body';
+    this.elements.question.classList.remove('hidden');
+    this.elements.copy.disabled = true;
+    this.elements.continueButton.disabled = true;
+    this.elements.questionInput.value = '';
+    this.elements.questionInput.focus();
+  },
+
+  // state is 'loading', 'streaming', 'done' or 'error'
+  // chatId is the saved chat to continue in the side panel
+  setState(state, content, chatId = null) {
+    this.content = content;
+    this.chatId = chatId;
+    this.state = state;
+    this.elements.copy.disabled = !content;
+    this.elements.continueButton.disabled = !chatId;
+
+    const body = this.elements.body;
+    if (state === 'loading' || state === 'error') {
+      body.className = `body ${state}`;
+      body.textContent = state === 'loading' ? 'Thinking...' : content;
+      return;
+    }
+    this.scheduleRender();
+  },
+
+  // Render Markdown at most once per frame while streaming
+  scheduleRender() {
+    if (this.renderScheduled) return;
+    this.renderScheduled = true;
+
+    requestAnimationFrame(async () => {
+      this.renderScheduled = false;
+      if (!this.host || (this.state !== 'streaming' && this.state !== 'done')) return;
+
+      const body = this.elements.body;
+      const hasRenderer = await loadAnswerRenderer();
+      if (!hasRenderer) {
+        body.className = 'body plain';
+        body.textContent = this.content;
+        return;
+      }
+
+      body.className = 'body';
+      body.innerHTML = htmlSanitizer.renderMarkdown(this.content);
+      if (this.state === 'done') {
+        body.querySelectorAll('pre code').forEach(block => hljs.highlightElement(block));
+      }
+    });
+  },
+
+  hide() {
+    if (this.host) {
+      this.host.remove();
+      this.host = null;
+    }
+    if (this.onClose) {
+      this.onClose();
+    }
+  },
+
+  // Whether an event happened inside the card
+  contains(event) {
+    return Boolean(this.host) && event.composedPath().includes(this.host);
+  }
+};
+
+// Small toolbar shown above a text selection
+const selectionToolbar = {
+  host: null,
+  buttons: [],
+  onAction: null,
+
+  // Buttons in order; 'ask' asks for a question first and editableOnly
+  // buttons only show for selections inside a text field
+  actions: [
+    { id: 'ask', label: 'Ask', title: '선택한 텍스트에 대해 질문하기' },
+    { id: 'explain', label: 'Explain', title: '선택한 텍스트 설명하기' },
+    { id: 'translate', label: 'Translate', title: '선택한 텍스트 번역하기' },
+    { id: 'rewrite', label: 'Rewrite', title: '선택한 텍스트를 다시 써서 바꾸기', editableOnly: true }
+  ],
+
+  create() {
+    this.host = document.createElement('div');
+    this.host.style.cssText = 'position: absolute; z-index: 2147483647; top: 0; left: 0;';
+    const shadow = this.host.attachShadow({ mode: 'closed' });
+
+    shadow.innerHTML = `
+      <style>
+        .toolbar {
+          display: flex;
+          gap: 2px;
+          padding: 3px;
+          background: #202124;
+          border-radius: 6px;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        }
+        button {
+          border: none;
+          background: none;
+          color: #fff;
+          padding: 4px 8px;
+          border-radius: 4px;
+          font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          cursor: pointer;
+        }
+        button:hover { background: rgba(255, 255, 255, 0.15); }
+        button.hidden { display: none; }
+      </style>
+      <div class="toolbar"></div>
+    `;
+
+    const toolbar = shadow.querySelector('.toolbar');
+    this.actions.forEach(action => {
+      const button = document.createElement('button');
+      button.dataset.action = action.id;
+      button.textContent = action.label;
+      button.title = action.title;
+      // Keep the page selection when the button is pressed
+      button.addEventListener('mousedown', (e) => e.preventDefault());
+      button.addEventListener('click', () => {
+        if (this.onAction) {
+          this.onAction(action.id);
+        }
+      });
+      toolbar.appendChild(button);
+    });
+
+    this.buttons = toolbar.querySelectorAll('button');
+    document.documentElement.appendChild(this.host);
+  },
+
+  // Show the toolbar just above the selection rect (viewport coordinates)
+  // inEditable shows the buttons that change the selected text
+  show(rect, inEditable = false) {
+    if (!this.host || !this.host.isConnected) {
+      this.create();
+    }
+    this.buttons.forEach(button => {
+      const action = this.actions.find(item => item.id === button.dataset.action);
+      button.classList.toggle('hidden', Boolean(action.editableOnly) && !inEditable);
+    });
+    const top = rect.top > 40 ? rect.top - 36 : rect.bottom + 8;
+    const left = Math.min(Math.max(rect.left, 8), window.innerWidth - 220);
+    this.host.style.top = `${top + window.scrollY}px`;
+    this.host.style.left = `${left + window.scrollX}px`;
+  },
+
+  hide() {
+    if (this.host) {
+      this.host.remove();
+      this.host = null;
+    }
+  },
+
+  contains(event) {
+    return Boolean(this.host) && event.composedPath().includes(this.host);
+  }
+};
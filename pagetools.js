@@ -0,0 +1,69 @@
+// Page lookups for the model's browser tools (see tools.js)
+//
+// Results are plain objects small enough to send back to the model: element
+// text and match context are cut short, and only the first matches are listed.
+const pageTools = {
+  textLimit: 300,
+  // autocomplete tokens of fields whose values are never sent to the model
+  privateAutocomplete: /\b(current-password|new-password|one-time-code|cc-[a-z-]+|webauthn)\b/i,
+
+  clip(text, limit = this.textLimit) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > limit ? clean.substring(0, limit) + '...' : clean;
+  },
+
+  // Elements matching a CSS selector: { count, elements: [{ tag, id, classes, text, href, value }] }
+  // value is left out for private fields (see isPrivateField)
+  queryElements(selector, limit = 20) {
+    let elements;
+    try {
+      elements = Array.from(document.querySelectorAll(selector));
+    } catch (e) {
+      return { error: `Invalid selector: ${selector}` };
+    }
+
+    return {
+      count: elements.length,
+      elements: elements.slice(0, limit).map(element => {
+        const item = { tag: element.tagName.toLowerCase() };
+        if (element.id) item.id = element.id;
+        if (element.classList.length > 0) item.classes = Array.from(element.classList).join(' ');
+        item.text = this.clip(element.innerText ?? element.textContent);
+        if (element.href) item.href = element.href;
+        if (typeof element.value === 'string' && element.value && !this.isPrivateField(element)) {
+          item.value = this.clip(element.value);
+        }
+        return item;
+      })
+    };
+  },
+
+  // Password, hidden and credential fields (passwords, codes, card numbers)
+  isPrivateField(element) {
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    return type === 'password' || type === 'hidden' ||
+      this.privateAutocomplete.test(element.getAttribute('autocomplete') || '');
+  },
+
+  // Case-insensitive search of the visible text: { count, matches: ["...context..."] }
+  find(query, limit = 20) {
+    const needle = (query || '').toLowerCase();
+    if (!needle) return { error: 'Nothing to search for.' };
+
+    const text = (document.body.innerText ?? document.body.textContent).replace(/\s+/g, ' ');
+    const haystack = text.toLowerCase();
+    const matches = [];
+    let count = 0;
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+      count++;
+      if (matches.length < limit) {
+        const start = Math.max(0, index - 80);
+        const end = Math.min(text.length, index + needle.length + 80);
+        matches.push((start > 0 ? '...' : '') + text.substring(start, end) + (end < text.length ? '...' : ''));
+      }
+      index = haystack.indexOf(needle, index + needle.length);
+    }
+    return { count, matches };
+  }
+};
@@ -2,7 +2,8 @@ document.addEventListener('DOMContentLoaded', function() {
   console.log('Extension loaded');
   
   // Detect if we're in popup or side panel mode
-  const isSidePanel = window.location.search.includes('side_panel=true');
+  const isSidePanel = window.location.search.includes('side_panel=true') ||
+                      document.body.classList.contains('side-panel-mode');
   document.body.classList.add(isSidePanel ? 'side-panel-mode' : 'popup-mode');
   
   // Verify that required libraries are loaded
@@ -21,6 +22,34 @@ document.addEventListener('DOMContentLoaded', function() {
   const userInput = document.getElementById('user-input');
   const sendButton = document.getElementById('send-button');
   const modelSelect = document.getElementById('model-select');
+  const refreshModelsButton = document.getElementById('refresh-models');
+  const sessionUsageLabel = document.getElementById('session-usage');
+  const modelStatus = document.getElementById('model-status');
+  const newChatButton = document.getElementById('new-chat-button');
+  const settingsButton = document.getElementById('settings-button');
+  const historyButton = document.getElementById('history-button');
+  const exportButton = document.getElementById('export-button');
+  const exportMenu = document.getElementById('export-menu');
+  const importChatButton = document.getElementById('import-chat');
+  const importChatFile = document.getElementById('import-chat-file');
+  const historyPanel = document.getElementById('history-panel');
+  const historySearch = document.getElementById('history-search');
+  const historyList = document.getElementById('history-list');
+  const closeHistoryButton = document.getElementById('close-history');
+  const chatSettingsButton = document.getElementById('chat-settings-button');
+  const compareButton = document.getElementById('compare-button');
+  const toolsButton = document.getElementById('tools-button');
+  const comparePanel = document.getElementById('compare-panel');
+  const compareModelList = document.getElementById('compare-model-list');
+  const settingsDrawer = document.getElementById('settings-drawer');
+  const presetSelect = document.getElementById('preset-select');
+  const savePresetButton = document.getElementById('save-preset');
+  const deletePresetButton = document.getElementById('delete-preset');
+  const resetSettingsButton = document.getElementById('reset-settings');
+  const closeSettingsDrawerButton = document.getElementById('close-settings-drawer');
+  const systemPromptInput = document.getElementById('setting-system-prompt');
+  const stopInput = document.getElementById('setting-stop');
+  const settingsErrors = document.getElementById('settings-errors');
   
   // New elements for selection display
   const selectionInfo = document.getElementById('selection-info');
@@ -30,6 +59,22 @@ document.addEventListener('DOMContentLoaded', function() {
   const selectionHeader = document.querySelector('.selection-header');
   const selectionContent = document.querySelector('.selection-content');
   const selectionHeaderIcon = document.querySelector('.selection-header-icon');
+
+  // Page context controls
+  const usePageButton = document.getElementById('use-page');
+  const summarizePageButton = document.getElementById('summarize-page');
+  const keyPointsButton = document.getElementById('key-points');
+  const commandMenu = document.getElementById('command-menu');
+  const tabContextLabel = document.getElementById('tab-context');
+  const pinTabButton = document.getElementById('pin-tab');
+  const perTabChatsToggle = document.getElementById('per-tab-chats');
+  const trayButton = document.getElementById('tray-button');
+  const contextTrayPanel = document.getElementById('context-tray');
+  const attachTabsButton = document.getElementById('attach-tabs');
+  const addSnippetButton = document.getElementById('add-snippet');
+  const clearTrayButton = document.getElementById('clear-tray');
+  const tabPicker = document.getElementById('tab-picker');
+  const trayList = document.getElementById('tray-list');
   
   // Current selection state
   let currentSelection = '';
@@ -37,40 +82,210 @@ document.addEventListener('DOMContentLoaded', function() {
   let isSelectionStored = false;
   // Track selection content visibility
   let isSelectionContentVisible = true;
+  // Flag to attach the current page's content to the next message
+  let isPageContextStored = false;
 
   // Add flag to track if message is being sent
   let isSendingMessage = false;
 
+  // Current chat record (see history.js); its messages are sent to the model on every request
+  // Each message is { role: 'user' | 'assistant', content, display?, stats?, createdAt }
+  // User messages also keep the typed text and attached selection for editing
+  let currentChat = chatHistory.createChat();
+
+  // Index of the user message being edited, or null
+  let editingTurnIndex = null;
+
+  // Configured endpoints (see apiConfig.getEndpoints), with the models their
+  // servers report merged in once discovery finishes (see discovery.js)
+  let endpoints = [];
+
+  // Fill the model selector, grouped by server
+  // Option values are "<endpoint id>|<model id>"; the first of preferredKeys
+  // that is still available is selected
+  function renderModelOptions(preferredKeys) {
+    modelSelect.innerHTML = '';
+
+    endpoints.forEach(endpoint => {
+      const group = document.createElement('optgroup');
+      group.label = endpoint.offline ? `${endpoint.name} (offline)` : endpoint.name;
+      endpoint.models.forEach(model => {
+        const option = document.createElement('option');
+        const description = modelDiscovery.describe(model);
+        option.value = apiConfig.getModelKey(endpoint, model);
+        option.textContent = (model.name || model.id) +
+          (description ? ` — ${description}` : '') +
+          (model.unavailable ? ' (not installed)' : '');
+        group.appendChild(option);
+      });
+      modelSelect.appendChild(group);
+    });
+
+    const preferredKey = preferredKeys.find(key => key && getModelSelection(key));
+    if (preferredKey) {
+      modelSelect.value = preferredKey;
+    }
+    updateExtraSettingFields();
+    renderCompareModels();
+  }
+
+  // Show the configured models right away, then ask the servers for theirs
+  async function initializeModelSelector() {
+    endpoints = await apiConfig.getEndpoints();
+    const { selectedModel } = await chrome.storage.local.get(['selectedModel']);
+    renderModelOptions([selectedModel]);
+    refreshModels();
+  }
+
+  // Re-list the models from every server; servers that are down keep their configured models.
+  // A failure is shown next to the picker, which keeps the models it had
+  async function refreshModels() {
+    refreshModelsButton.disabled = true;
+    try {
+      endpoints = await modelDiscovery.withDiscoveredModels(await apiConfig.getEndpoints());
+      const { selectedModel } = await chrome.storage.local.get(['selectedModel']);
+      // An opened chat keeps its own model
+      const chatModel = currentChat.messages.length > 0 ? currentChat.model : null;
+      renderModelOptions([chatModel, selectedModel, modelSelect.value]);
+      modelStatus.textContent = '';
+      modelStatus.title = '';
+    } catch (error) {
+      console.error('Error refreshing models:', error);
+      modelStatus.textContent = `Could not refresh models: ${error.message}`;
+      modelStatus.title = modelStatus.textContent;
+    } finally {
+      refreshModelsButton.disabled = false;
+    }
+  }
+
+  refreshModelsButton.addEventListener('click', refreshModels);
+
+  // Resolve a selector value to its endpoint and model config
+  function getModelSelection(value) {
+    return apiConfig.findModel(endpoints, value);
+  }
+
   // Initialize model selector
-  function initializeModelSelector() {
-    // Add vLLM option
-    const vllmOption = document.createElement('option');
-    vllmOption.value = 'vllm';
-    vllmOption.textContent = 'vLLM';
-    modelSelect.appendChild(vllmOption);
-
-    // Add Ollama options
-    Object.entries(MODEL_CONFIG.ollama.models).forEach(([key, model]) => {
-      const option = document.createElement('option');
-      option.value = key;
-      option.textContent = model.name;
-      modelSelect.appendChild(option);
+  const modelSelectorReady = initializeModelSelector();
+
+  // Prompt templates for /commands (see templates.js)
+  let templates = [];
+
+  function loadTemplates() {
+    promptTemplates.getAll().then(list => {
+      templates = list;
     });
+  }
 
-    // Load saved model preference
-    chrome.storage.local.get(['selectedModel'], function(result) {
-      if (result.selectedModel) {
-        modelSelect.value = result.selectedModel;
-      }
+  loadTemplates();
+
+  // Generation setting presets (see generation.js)
+  let presets = [];
+
+  async function loadPresets() {
+    presets = await generationSettings.getPresets();
+    presetSelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Apply preset...';
+    presetSelect.appendChild(placeholder);
+    presets.forEach(preset => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.name;
+      presetSelect.appendChild(option);
     });
   }
 
-  // Initialize model selector
-  initializeModelSelector();
+  loadPresets();
+
+  // Pick up endpoints, templates and presets edited elsewhere
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes.endpoints) {
+      initializeModelSelector();
+    }
+    if (changes.promptTemplates) {
+      loadTemplates();
+    }
+    if (changes[generationSettings.storageKey]) {
+      loadPresets();
+    }
+    if (changes[contextTray.storageKey]) {
+      loadTray();
+    }
+  });
+
+  // Open the options page
+  settingsButton.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
 
   // Save model preference when changed
   modelSelect.addEventListener('change', function() {
     chrome.storage.local.set({ selectedModel: modelSelect.value });
+    updateExtraSettingFields();
+  });
+
+  // Compare mode: the question goes to every checked model at once and
+  // their answers stream into adjacent columns (see compare.js)
+  let isCompareMode = false;
+  let compareModels = [];
+
+  function renderCompareModels() {
+    compareModelList.innerHTML = '';
+    endpoints.forEach(endpoint => {
+      endpoint.models.forEach(model => {
+        const key = apiConfig.getModelKey(endpoint, model);
+        const label = document.createElement('label');
+        label.className = 'compare-model';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = key;
+        checkbox.checked = compareModels.includes(key);
+        label.append(checkbox, ` ${endpoint.name} · ${model.name || model.id}`);
+        compareModelList.appendChild(label);
+      });
+    });
+  }
+
+  compareModelList.addEventListener('change', () => {
+    compareModels = Array.from(compareModelList.querySelectorAll('input:checked'), checkbox => checkbox.value);
+    modelComparison.saveModels(compareModels);
+  });
+
+  function setCompareMode(enabled) {
+    isCompareMode = enabled;
+    compareButton.classList.toggle('active', enabled);
+    comparePanel.classList.toggle('hidden', !enabled);
+    // The selector is for continuing with one model
+    modelSelect.disabled = enabled;
+  }
+
+  compareButton.addEventListener('click', () => setCompareMode(!isCompareMode));
+
+  modelComparison.getModels().then(models => {
+    compareModels = models;
+    renderCompareModels();
+  });
+
+  // Browser tools: when on, the model may read the page, list tabs and so on
+  // (see tools.js); tools that change something ask for approval in the chat.
+  // Compared answers are generated without tools
+  let useTools = false;
+
+  function setUseTools(enabled) {
+    useTools = enabled;
+    toolsButton.classList.toggle('active', enabled);
+  }
+
+  toolsButton.addEventListener('click', () => {
+    setUseTools(!useTools);
+    chrome.storage.local.set({ toolsEnabled: useTools });
+  });
+
+  chrome.storage.local.get(['toolsEnabled']).then(({ toolsEnabled }) => {
+    setUseTools(Boolean(toolsEnabled));
   });
 
   // Reset selection function
@@ -83,7 +298,7 @@ document.addEventListener('DOMContentLoaded', function() {
     useSelectionButton.classList.remove('selection-stored');
     
     // Notify background script to clear selection
-    chrome.runtime.sendMessage({ action: 'clearSelection' });
+    chrome.runtime.sendMessage({ action: 'clearSelection', tabId: contextTab && contextTab.id });
   }
 
   // Handle reset button click
@@ -102,10 +317,9 @@ document.addEventListener('DOMContentLoaded', function() {
 
   // Check for selected text when popup opens
   function checkForSelection() {
-    chrome.runtime.sendMessage({ action: 'getSelectedText' }, (response) => {
+    chrome.runtime.sendMessage({ action: 'getSelectedText', tabId: contextTab && contextTab.id }, (response) => {
       if (response && response.selectedText) {
         currentSelection = response.selectedText;
-        console.log('Selection received:', currentSelection);
         // If text is selected, show it in the UI
         updateSelectionUI(currentSelection);
       }
@@ -114,7 +328,6 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Update the UI to show selected text
   function updateSelectionUI(text) {
-    console.log('Updating selection UI with:', text);
     if (text && text.trim().length > 0) {
       // Truncate if too long
       const maxPreviewLength = 150;
@@ -161,237 +374,1721 @@ document.addEventListener('DOMContentLoaded', function() {
     selectionHeaderIcon.classList.toggle('collapsed', !isSelectionContentVisible);
   });
 
-  // Send message to LLM with streaming
-  async function sendMessage(message) {
-    console.log('Sending message:', message);
-    
-    try {
-      const selectedModel = modelSelect.value;
-      const isVllm = selectedModel === 'vllm';
-      
-      const endpoint = isVllm 
-        ? MODEL_CONFIG.vllm.endpoint
-        : MODEL_CONFIG.ollama.endpoint;
-
-      const requestBody = isVllm
-        ? {
-            model: MODEL_CONFIG.vllm.model,
-            messages: [
-              {
-                role: "user",
-                content: message
-              }
-            ],
-            ...MODEL_CONFIG.vllm.params
-          }
-        : {
-            model: selectedModel,
-            messages: [
-              {
-                role: "user",
-                content: message
-              }
-            ],
-            ...MODEL_CONFIG.ollama.models[selectedModel].params
-          };
-
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
+  // Start a new chat by clearing the thread and the chat view
+  function startNewChat() {
+    if (isSendingMessage) return;
+
+    currentChat = chatHistory.createChat();
+    chatMessages.innerHTML = '';
+    fillSettingsForm(currentChat.settings);
+    subscribeToChat();
+    updateContextTab();
+    cancelEditing();
+    userInput.value = '';
+    userInput.style.height = 'auto';
+    closeHistoryPanel();
+    userInput.focus();
+  }
+
+  newChatButton.addEventListener('click', startNewChat);
+
+  // Ask background.js for a tab's page info (see extractPageContent in content.js)
+  // Defaults to the tab the chat reads from
+  function getPageInfo(tabId = contextTab && contextTab.id) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'getCurrentPageInfo', tabId }, (response) => {
+        resolve(response || null);
       });
+    });
+  }
 
-      console.log('Response status:', response.status);
+  // Toggle attaching the current page to the next message
+  function setPageContextStored(stored) {
+    isPageContextStored = stored;
+    usePageButton.textContent = stored ? '✅ Page Attached' : '📄 Use Page';
+    usePageButton.classList.toggle('page-stored', stored);
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+  usePageButton.addEventListener('click', () => {
+    setPageContextStored(!isPageContextStored);
+  });
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let assistantMessage = '';
+  // Tab context: the tab whose selection and page this view reads. It
+  // follows the active tab of the browser window, unless the chat is pinned
+  // to a tab. A popup window opened from the context menu reads the tab it
+  // was opened from (popup.html?tab=<id>).
+  let contextTab = null;
+  let followedWindowId = null;
+  const requestedTabId = Number(new URLSearchParams(window.location.search).get('tab')) || null;
 
-      // Create a message element for streaming
-      const messageDiv = document.createElement('div');
-      messageDiv.className = 'message assistant-message';
-      chatMessages.appendChild(messageDiv);
+  // With per-tab chats on, each tab keeps its own conversation; the tab ->
+  // chat id map lives for the browser session
+  let isPerTabChats = false;
 
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
+  function getTab(tabId) {
+    return chrome.tabs.get(tabId).catch(() => null);
+  }
 
-        const chunk = decoder.decode(value);
-        console.log('Received chunk:', chunk);
-        
-        try {
-          // Handle OpenAI-compatible streaming format
-          if (isVllm) {
-            // Split by double newlines as each chunk is a separate JSON object
-            const lines = chunk.split('\n\n');
-            for (const line of lines) {
-              if (line.startsWith('data: ')) {
-                const jsonStr = line.slice(6); // Remove 'data: ' prefix
-                if (jsonStr === '[DONE]') continue;
-                
-                try {
-                  const parsed = JSON.parse(jsonStr);
-                  const content = parsed.choices?.[0]?.delta?.content || '';
-                  if (content) {
-                    assistantMessage += content;
-                    messageDiv.innerHTML = marked.parse(assistantMessage);
-                    messageDiv.querySelectorAll('pre code').forEach((block) => {
-                      hljs.highlightElement(block);
-                    });
-                    chatMessages.scrollTop = chatMessages.scrollHeight;
-                  }
-                } catch (e) {
-                  console.error('Error parsing vLLM chunk:', e);
-                }
-              }
-            }
-          } else {
-            // Handle Ollama format
-            const parsed = JSON.parse(chunk);
-            const content = parsed.message?.content || '';
-            if (content) {
-              assistantMessage += content;
-              messageDiv.innerHTML = marked.parse(assistantMessage);
-              messageDiv.querySelectorAll('pre code').forEach((block) => {
-                hljs.highlightElement(block);
-              });
-              chatMessages.scrollTop = chatMessages.scrollHeight;
-            }
-          }
-        } catch (e) {
-          console.error('Error parsing streaming response:', e);
-        }
+  // This view's browser window; a popup window follows the last focused browser window
+  async function getFollowedWindowId() {
+    const current = await chrome.windows.getCurrent();
+    if (current.type !== 'popup') return current.id;
+    const lastFocused = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    return lastFocused.id;
+  }
+
+  function renderContextTab() {
+    const pinned = Boolean(currentChat.pinnedTab);
+    tabContextLabel.textContent = contextTab
+      ? `${pinned ? '📌 ' : ''}Context: ${contextTab.title || contextTab.url}`
+      : 'Context: no tab';
+    tabContextLabel.title = contextTab ? contextTab.url || '' : '';
+    tabContextLabel.classList.toggle('pinned', pinned);
+    pinTabButton.textContent = pinned ? '📌 Unpin' : '📌 Pin';
+    pinTabButton.classList.toggle('active', pinned);
+  }
+
+  // Work out which tab the chat reads from and show it
+  async function updateContextTab() {
+    let tab = null;
+    if (currentChat.pinnedTab) {
+      tab = await getTab(currentChat.pinnedTab.id);
+      if (!tab) {
+        showChatStatus(`The tab this chat was pinned to ("${currentChat.pinnedTab.title}") was closed; following the active tab again.`);
+        delete currentChat.pinnedTab;
+        saveCurrentChat();
+      }
+    }
+    if (!tab && requestedTabId) {
+      tab = await getTab(requestedTabId);
+    }
+    if (!tab) {
+      if (followedWindowId === null) {
+        followedWindowId = await getFollowedWindowId();
       }
+      [tab] = await chrome.tabs.query({ active: true, windowId: followedWindowId });
+    }
 
-      return assistantMessage;
-    } catch (error) {
-      console.error('Error:', error);
-      return `Sorry, there was an error processing your request: ${error.message}`;
+    const previousTabId = contextTab ? contextTab.id : null;
+    contextTab = tab ? { id: tab.id, title: tab.title, url: tab.url } : null;
+    renderContextTab();
+
+    // A selection made in another tab doesn't apply here
+    if (contextTab && previousTabId !== null && contextTab.id !== previousTabId) {
+      currentSelection = '';
+      updateSelectionUI('');
+      checkForSelection();
     }
   }
 
-  // Add message to chat
-  function addMessage(message, isUser = false) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${isUser ? 'user-message' : 'assistant-message'}`;
-    messageDiv.innerHTML = marked.parse(message);
-    chatMessages.appendChild(messageDiv);
-    
-    // Apply syntax highlighting to code blocks
-    messageDiv.querySelectorAll('pre code').forEach((block) => {
-      hljs.highlightElement(block);
+  pinTabButton.addEventListener('click', async () => {
+    if (currentChat.pinnedTab) {
+      delete currentChat.pinnedTab;
+    } else if (contextTab) {
+      currentChat.pinnedTab = { id: contextTab.id, title: contextTab.title, url: contextTab.url };
+    }
+    await saveCurrentChat();
+    updateContextTab();
+  });
+
+  // Remember which chat belongs to the context tab
+  async function rememberTabChat() {
+    if (!isPerTabChats || !contextTab || currentChat.pinnedTab || currentChat.messages.length === 0) return;
+    const { tabChats = {} } = await chrome.storage.session.get(['tabChats']);
+    tabChats[contextTab.id] = currentChat.id;
+    await chrome.storage.session.set({ tabChats });
+  }
+
+  // Show the conversation of the tab that became active, or a new one
+  async function switchToTabChat(tabId) {
+    if (isSendingMessage || currentChat.pinnedTab) return;
+
+    const { tabChats = {} } = await chrome.storage.session.get(['tabChats']);
+    const chatId = tabChats[tabId];
+    if (chatId === currentChat.id) return;
+    if (chatId && await chatHistory.get(chatId)) {
+      await openChat(chatId);
+    } else if (currentChat.messages.length > 0) {
+      startNewChat();
+    }
+  }
+
+  perTabChatsToggle.addEventListener('change', async () => {
+    isPerTabChats = perTabChatsToggle.checked;
+    await chrome.storage.local.set({ perTabChats: isPerTabChats });
+    rememberTabChat();
+  });
+
+  chrome.storage.local.get(['perTabChats']).then(({ perTabChats }) => {
+    isPerTabChats = Boolean(perTabChats);
+    perTabChatsToggle.checked = isPerTabChats;
+  });
+
+  chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
+    if (windowId !== followedWindowId || requestedTabId) return;
+    if (isPerTabChats) {
+      await switchToTabChat(tabId);
+    }
+    updateContextTab();
+  });
+
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (contextTab && tabId === contextTab.id && (changeInfo.title || changeInfo.url)) {
+      updateContextTab();
+    }
+  });
+
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    if (contextTab && tabId === contextTab.id) {
+      updateContextTab();
+    }
+  });
+
+  // Context tray: open tabs and snippets sent with the next message (see tray.js)
+  let trayItems = [];
+
+  async function loadTray() {
+    trayItems = await contextTray.getAll();
+    renderTray();
+  }
+
+  function renderTray() {
+    trayButton.textContent = trayItems.length > 0 ? `🗂️ Tray (${trayItems.length})` : '🗂️ Tray';
+    trayButton.classList.toggle('tray-filled', trayItems.length > 0);
+    trayList.innerHTML = '';
+
+    if (trayItems.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'tray-empty';
+      empty.textContent = 'Attach open tabs or collect selections from any page.';
+      trayList.appendChild(empty);
+      return;
+    }
+
+    trayItems.forEach(item => {
+      const row = document.createElement('li');
+      row.className = 'tray-item';
+
+      const main = document.createElement('div');
+      main.className = 'tray-item-main';
+      const title = document.createElement('div');
+      title.className = 'tray-item-title';
+      title.textContent = `${item.type === 'tab' ? '📄' : '✂️'} ${item.title}`;
+      const meta = document.createElement('div');
+      meta.className = 'tray-item-meta';
+      meta.textContent = [contextTray.getSource(item), contextTray.describeSize(item)].filter(Boolean).join(' · ');
+      main.title = item.url;
+      main.appendChild(title);
+      main.appendChild(meta);
+
+      const removeButton = document.createElement('button');
+      removeButton.textContent = '✕';
+      removeButton.title = '트레이에서 빼기';
+      removeButton.addEventListener('click', () => contextTray.remove(item.id));
+
+      row.appendChild(main);
+      row.appendChild(removeButton);
+      trayList.appendChild(row);
     });
+  }
 
-    // Add click handlers for message selection headers
-    messageDiv.querySelectorAll('.message-selection-header').forEach(header => {
-      header.addEventListener('click', () => {
-        const content = header.nextElementSibling;
-        const icon = header.querySelector('.message-selection-icon');
-        content.classList.toggle('collapsed');
-        icon.classList.toggle('collapsed');
-      });
+  // List the open web pages to pick from
+  async function showTabPicker() {
+    const tabs = (await chrome.tabs.query({})).filter(tab => /^(https?|file):/.test(tab.url || ''));
+    tabPicker.innerHTML = '';
+
+    tabs.forEach(tab => {
+      const item = document.createElement('li');
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = tab.id;
+      checkbox.checked = Boolean(contextTab && contextTab.id === tab.id);
+      label.title = tab.url;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(tab.title || tab.url));
+      item.appendChild(label);
+      tabPicker.appendChild(item);
     });
-    
-    // Scroll to bottom
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    const actions = document.createElement('li');
+    const attachButton = document.createElement('button');
+    attachButton.textContent = 'Attach selected tabs';
+    attachButton.addEventListener('click', attachPickedTabs);
+    actions.appendChild(attachButton);
+    tabPicker.appendChild(actions);
+    tabPicker.classList.remove('hidden');
   }
 
-  // Add auto-resize functionality to input
-  userInput.addEventListener('input', function() {
-    this.style.height = 'auto';
-    this.style.height = (this.scrollHeight) + 'px';
-  });
+  // Read each picked tab's content through its content script
+  async function attachPickedTabs() {
+    const tabIds = Array.from(tabPicker.querySelectorAll('input:checked')).map(input => Number(input.value));
+    tabPicker.classList.add('hidden');
+    if (tabIds.length === 0) return;
 
-  // Reset input height when message is sent
-  sendButton.addEventListener('click', async function() {
-    if (isSendingMessage) return; // Prevent multiple submissions
-    
-    const message = userInput.value.trim();
-    let displayMessage = message;
-    let messageToSend = message;
-    
-    if (messageToSend) {
-      isSendingMessage = true; // Set flag before sending
-      userInput.disabled = true; // Disable input while sending
-      
-      // If selection is stored, add it to the message internally
-      if (isSelectionStored && currentSelection) {
-        // UI에 표시되는 메시지용 간략한 형식
-        const maxLength = 100;
-        const truncatedText = currentSelection.length > maxLength 
-          ? currentSelection.substring(0, maxLength) + '...'
-          : currentSelection;
-
-        const formattedDisplaySelection = `
-<div class="message-selection">
-  <div class="message-selection-header">
-    <svg class="message-selection-icon collapsed" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-      <polyline points="6 9 12 15 18 9"></polyline>
-    </svg>
-    <span>Selected text (${currentSelection.length} chars)</span>
-  </div>
-  <div class="message-selection-content collapsed">
-    <pre>${truncatedText}</pre>
-  </div>
-</div>`;
-        
-        // LLM에 보내는 실제 메시지에는 전체 선택 텍스트를 포함
-        const formattedFullSelection = `Selected text: "${currentSelection}"`;
-        
-        // Add selection to messages
-        if (message) {
-          displayMessage = message + formattedDisplaySelection; // UI 표시용
-          messageToSend = message + '\n\n' + formattedFullSelection; // LLM 전송용
-        } else {
-          displayMessage = formattedDisplaySelection; // UI 표시용
-          messageToSend = formattedFullSelection; // LLM 전송용
-        }
-        
-        // Reset selection stored state after using it
-        isSelectionStored = false;
-        useSelectionButton.textContent = '📋 Use Selection';
-        useSelectionButton.classList.remove('selection-stored');
+    const statusDiv = showChatStatus(`Reading ${tabIds.length} tab(s)...`);
+    const items = [];
+    const failed = [];
+    for (const tabId of tabIds) {
+      const pageInfo = await getPageInfo(tabId);
+      if (pageInfo && pageInfo.url && pageInfo.mainContent) {
+        items.push(contextTray.createItem({ type: 'tab', title: pageInfo.title, url: pageInfo.url, content: pageInfo.mainContent }));
+      } else {
+        const tab = await getTab(tabId);
+        failed.push(tab ? tab.title || tab.url : `tab ${tabId}`);
       }
-      
-      addMessage(displayMessage, true);
-      userInput.value = '';
-      userInput.style.height = 'auto'; // Reset height
-      
+    }
+    statusDiv.remove();
+
+    if (items.length > 0) {
+      await contextTray.add(...items);
+    }
+    if (failed.length > 0) {
+      showChatStatus(`Could not read: ${failed.join(', ')}. Reload those tabs and try again.`);
+    }
+  }
+
+  // Save the context tab's selection as a named snippet
+  async function addSelectionSnippet() {
+    if (!currentSelection) {
+      showChatStatus('Select some text on the page first.');
+      return;
+    }
+
+    const defaultName = contextTab ? contextTab.title : '';
+    const name = prompt('Snippet name', defaultName);
+    if (name === null) return;
+
+    await contextTray.add(contextTray.createItem({
+      type: 'snippet',
+      title: name.trim() || defaultName,
+      url: contextTab ? contextTab.url : '',
+      content: currentSelection
+    }));
+  }
+
+  trayButton.addEventListener('click', () => {
+    contextTrayPanel.classList.toggle('hidden');
+  });
+  attachTabsButton.addEventListener('click', () => {
+    if (tabPicker.classList.contains('hidden')) {
+      showTabPicker();
+    } else {
+      tabPicker.classList.add('hidden');
+    }
+  });
+  addSnippetButton.addEventListener('click', addSelectionSnippet);
+  clearTrayButton.addEventListener('click', () => contextTray.clear());
+
+  loadTray();
+
+  // Save the current chat, filling in its source page on the first save
+  // Resolves to whether it was saved
+  async function saveCurrentChat() {
+    if (currentChat.messages.length === 0) return false;
+
+    if (!currentChat.pageUrl && contextTab) {
+      currentChat.pageUrl = contextTab.url || '';
+    }
+    currentChat.model = modelSelect.value;
+
+    try {
+      // While an answer is being added to the chat, the worker owns its turns
+      await chatHistory.save(currentChat, { keepMessages: Boolean(activeJob || activeComparison) });
+      await rememberTabChat();
+      return true;
+    } catch (error) {
+      console.error('Error saving chat:', error);
+      showChatStatus(`Could not save this chat: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Reopen a saved chat so it can be continued
+  async function openChat(id) {
+    if (isSendingMessage) return;
+
+    const chat = await chatHistory.get(id);
+    if (!chat) return;
+
+    currentChat = chat;
+    fillSettingsForm(generationSettings.normalize(chat.settings));
+    cancelEditing();
+    renderConversation();
+    subscribeToChat();
+    updateContextTab();
+
+    // Restore the model the chat was using, if it is still configured
+    await modelSelectorReady;
+    if (chat.model && modelSelect.querySelector(`option[value="${CSS.escape(chat.model)}"]`)) {
+      modelSelect.value = chat.model;
+      updateExtraSettingFields();
+    }
+
+    closeHistoryPanel();
+    userInput.focus();
+  }
+
+  // Render the saved chat list, filtered by the search box
+  async function renderHistoryList() {
+    const chats = await chatHistory.list(historySearch.value);
+    historyList.innerHTML = '';
+
+    if (chats.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = historySearch.value ? 'No matching chats' : 'No saved chats yet';
+      historyList.appendChild(empty);
+      return;
+    }
+
+    chats.forEach(chat => {
+      const item = document.createElement('li');
+      item.className = 'history-item';
+      item.classList.toggle('active', chat.id === currentChat.id);
+
+      const main = document.createElement('div');
+      main.className = 'history-item-main';
+      main.addEventListener('click', () => openChat(chat.id));
+
+      const title = document.createElement('div');
+      title.className = 'history-item-title';
+      title.textContent = chat.title;
+
+      const meta = document.createElement('div');
+      meta.className = 'history-item-meta';
+      let host = '';
       try {
-        await sendMessage(messageToSend);
-      } finally {
-        isSendingMessage = false; // Reset flag after sending
-        userInput.disabled = false; // Re-enable input
-        userInput.focus(); // Focus back on input
+        host = chat.pageUrl ? new URL(chat.pageUrl).hostname : '';
+      } catch (e) {
+        host = '';
       }
+      meta.textContent = [chat.model, host, new Date(chat.updatedAt).toLocaleString()]
+        .filter(Boolean)
+        .join(' · ');
+      meta.title = chat.pageUrl || '';
+
+      main.appendChild(title);
+      main.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'history-item-actions';
+
+      const renameButton = document.createElement('button');
+      renameButton.textContent = '✏️';
+      renameButton.title = '이름 변경';
+      renameButton.addEventListener('click', async () => {
+        const newTitle = prompt('Rename chat', chat.title);
+        if (newTitle === null) return;
+        try {
+          const renamed = await chatHistory.rename(chat.id, newTitle);
+          if (renamed && renamed.id === currentChat.id) {
+            currentChat.title = renamed.title;
+          }
+        } catch (error) {
+          alert(`Could not rename the chat: ${error.message}`);
+        }
+        renderHistoryList();
+      });
+
+      const deleteButton = document.createElement('button');
+      deleteButton.textContent = '🗑️';
+      deleteButton.title = '삭제';
+      deleteButton.addEventListener('click', async () => {
+        if (!confirm(`Delete "${chat.title}"?`)) return;
+        try {
+          await chatHistory.remove(chat.id);
+        } catch (error) {
+          alert(`Could not delete the chat: ${error.message}`);
+          return;
+        }
+        if (chat.id === currentChat.id) {
+          // Keep the open thread, but save it as a new chat from now on
+          currentChat = { ...currentChat, id: crypto.randomUUID() };
+          subscribeToChat();
+        }
+        renderHistoryList();
+      });
+
+      actions.appendChild(renameButton);
+      actions.appendChild(deleteButton);
+      item.appendChild(main);
+      item.appendChild(actions);
+      historyList.appendChild(item);
+    });
+  }
+
+  function openHistoryPanel() {
+    historyPanel.classList.remove('hidden');
+    renderHistoryList();
+    historySearch.focus();
+  }
+
+  function closeHistoryPanel() {
+    historyPanel.classList.add('hidden');
+  }
+
+  historyButton.addEventListener('click', () => {
+    if (historyPanel.classList.contains('hidden')) {
+      openHistoryPanel();
+    } else {
+      closeHistoryPanel();
     }
   });
+  closeHistoryButton.addEventListener('click', closeHistoryPanel);
+  historySearch.addEventListener('input', renderHistoryList);
 
-  // Handle Enter key
-  userInput.addEventListener('keydown', function(e) {
-    if (e.key === 'Enter') {
-      if (e.shiftKey) {
-        // Shift + Enter: Allow new line
+  // Export the current chat, or import one from a JSON export (see exporter.js)
+  exportButton.addEventListener('click', (e) => {
+    e.stopPropagation();
+    exportMenu.classList.toggle('hidden');
+  });
+  document.addEventListener('click', () => exportMenu.classList.add('hidden'));
+
+  exportMenu.querySelectorAll('button[data-format]').forEach(button => {
+    button.addEventListener('click', async () => {
+      if (currentChat.messages.length === 0) {
+        showChatStatus('Nothing to export yet.');
         return;
+      }
+
+      const format = button.dataset.format;
+      if (format === 'markdown') {
+        chatExport.download(chatExport.toMarkdown(currentChat, endpoints),
+          chatExport.getFileName(currentChat, 'md'), 'text/markdown');
+      } else if (format === 'json') {
+        chatExport.download(chatExport.toJson(currentChat, endpoints),
+          chatExport.getFileName(currentChat, 'json'), 'application/json');
       } else {
-        // Enter only: Send message
-        e.preventDefault(); // Prevent default new line
-        if (!isSendingMessage) { // Only send if not already sending
-          console.log('Enter key pressed');
-          sendButton.click();
-        }
+        chatExport.download(await chatExport.toHtml(currentChat, endpoints),
+          chatExport.getFileName(currentChat, 'html'), 'text/html');
       }
+    });
+  });
+
+  importChatButton.addEventListener('click', () => importChatFile.click());
+
+  // The imported chat is saved to the history and opened so it can be continued
+  importChatFile.addEventListener('change', async () => {
+    const file = importChatFile.files[0];
+    importChatFile.value = '';
+    if (!file) return;
+
+    try {
+      const chat = chatExport.fromJson(await file.text());
+      await chatHistory.save(chat);
+      await openChat(chat.id);
+    } catch (error) {
+      showChatStatus(`Import failed: ${error.message}`);
     }
   });
 
-  // Check for selection when popup opens
-  checkForSelection();
+  // Settings drawer: system prompt and generation parameters of the current
+  // chat, saved with it (see generation.js)
+  // Problems with the values in the drawer; sending is blocked until fixed
+  let settingsProblems = [];
+
+  function fillSettingsForm(settings) {
+    systemPromptInput.value = settings.systemPrompt || '';
+    stopInput.value = (settings.stop || []).join('\n');
+    settingsDrawer.querySelectorAll('input[data-setting]').forEach(input => {
+      const value = settings[input.dataset.setting];
+      input.value = value === undefined ? '' : value;
+    });
+    settingsProblems = [];
+    settingsErrors.textContent = '';
+    updateSettingsIndicator();
+  }
+
+  // Empty fields are left out so the model's params apply
+  function readSettingsForm() {
+    const settings = {
+      systemPrompt: systemPromptInput.value,
+      stop: stopInput.value.split('\n')
+    };
+    settingsDrawer.querySelectorAll('input[data-setting]').forEach(input => {
+      if (input.value.trim() !== '') {
+        settings[input.dataset.setting] = Number(input.value);
+      }
+    });
+    return settings;
+  }
+
+  function updateSettingsIndicator() {
+    chatSettingsButton.classList.toggle('active', !generationSettings.isEmpty(currentChat.settings));
+  }
+
+  // Show fields such as num_ctx only for backends that use them
+  function updateExtraSettingFields() {
+    const selection = getModelSelection(modelSelect.value);
+    const supported = selection ? providerRegistry.get(selection.endpoint.type).extraSettings || [] : [];
+    settingsDrawer.querySelectorAll('[data-extra-setting]').forEach(field => {
+      field.classList.toggle('hidden', !supported.includes(field.dataset.extraSetting));
+    });
+  }
+
+  // Apply the drawer's values to the current chat
+  function applySettingsForm() {
+    const settings = readSettingsForm();
+    settingsProblems = generationSettings.validate(settings);
+    settingsErrors.textContent = settingsProblems.join('\n');
+    if (settingsProblems.length > 0) return false;
+
+    currentChat.settings = generationSettings.normalize(settings);
+    updateSettingsIndicator();
+    return true;
+  }
+
+  settingsDrawer.addEventListener('input', (e) => {
+    if (e.target !== presetSelect) {
+      applySettingsForm();
+    }
+  });
+
+  // Saved chats keep their settings
+  settingsDrawer.addEventListener('change', (e) => {
+    if (e.target !== presetSelect && applySettingsForm()) {
+      saveCurrentChat();
+    }
+  });
+
+  chatSettingsButton.addEventListener('click', () => {
+    settingsDrawer.classList.toggle('hidden');
+    updateExtraSettingFields();
+  });
+  closeSettingsDrawerButton.addEventListener('click', () => settingsDrawer.classList.add('hidden'));
+
+  presetSelect.addEventListener('change', () => {
+    const preset = presets.find(item => item.id === presetSelect.value);
+    if (!preset) return;
+
+    fillSettingsForm(generationSettings.normalize(preset.settings));
+    applySettingsForm();
+    saveCurrentChat();
+  });
+
+  savePresetButton.addEventListener('click', async () => {
+    if (!applySettingsForm()) return;
+
+    const selected = presets.find(item => item.id === presetSelect.value);
+    const name = prompt('Preset name', selected ? selected.name : '');
+    if (name === null || !name.trim()) return;
+
+    // Saving under an existing name replaces that preset
+    const existing = presets.find(item => item.name === name.trim());
+    const preset = { id: existing ? existing.id : crypto.randomUUID(), name: name.trim(), settings: currentChat.settings };
+    await generationSettings.savePresets(existing
+      ? presets.map(item => (item.id === existing.id ? preset : item))
+      : presets.concat(preset));
+    await loadPresets();
+    presetSelect.value = preset.id;
+  });
+
+  deletePresetButton.addEventListener('click', async () => {
+    const preset = presets.find(item => item.id === presetSelect.value);
+    if (!preset) {
+      showChatStatus('Choose a preset to delete first.');
+      return;
+    }
+    if (!confirm(`Delete the preset "${preset.name}"?`)) return;
+
+    await generationSettings.savePresets(presets.filter(item => item.id !== preset.id));
+    await loadPresets();
+  });
+
+  resetSettingsButton.addEventListener('click', () => {
+    fillSettingsForm({});
+    applySettingsForm();
+    saveCurrentChat();
+  });
+
+  // Tokens and time used by every request since the popup or side panel opened
+  const sessionUsage = usageStats.createTotal();
+
+  function addToSessionUsage(stats) {
+    usageStats.addToTotal(sessionUsage, stats);
+    sessionUsageLabel.textContent = usageStats.formatTotal(sessionUsage);
+    sessionUsageLabel.title = usageStats.describeTotal(sessionUsage);
+  }
+
+  // Token and speed readout under an answer (see usage.js)
+  function showMessageStats(messageDiv, stats) {
+    const statsDiv = document.createElement('div');
+    statsDiv.className = 'message-stats';
+    statsDiv.textContent = usageStats.format(stats);
+    statsDiv.title = usageStats.describe(stats);
+    messageDiv.appendChild(statsDiv);
+  }
+
+  // Streaming answers keep the chat scrolled to the bottom unless the user
+  // has scrolled up to read something
+  let isFollowingStream = true;
+
+  chatMessages.addEventListener('scroll', () => {
+    isFollowingStream = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 40;
+  });
+
+  function followStream() {
+    if (isFollowingStream) {
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+  }
+
+  // Show a temporary status line in the chat (e.g. progress); returns its element
+  function showChatStatus(text) {
+    const statusDiv = document.createElement('div');
+    statusDiv.className = 'chat-status';
+    statusDiv.textContent = text;
+    chatMessages.appendChild(statusDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return statusDiv;
+  }
+
+  // Answers are generated by the background service worker (see jobs.js),
+  // so they keep streaming and get saved when this view is closed, and every
+  // view that has the chat open follows along
+  let generationPort = null;
+
+  // The answer streaming into this view:
+  // { id, content, messageDiv, renderer, isOwn, stepsDiv }
+  let activeJob = null;
+  // Id of the job this view asked for, until the worker reports it started
+  let requestedJobId = null;
+  // The comparison streaming into this view: { id, messageDiv, columns, isOwn },
+  // with columns by job id: { content, columnDiv, bodyDiv, renderer }
+  let activeComparison = null;
+  // The comparison this view asked for: { id, jobIds }
+  let requestedComparison = null;
+  // Progress line of the job, e.g. while long context is condensed
+  let jobStatusDiv = null;
+
+  // Job events are handled one at a time; replaying a job may load its chat first
+  let jobEventQueue = Promise.resolve();
+
+  function getGenerationPort() {
+    if (!generationPort) {
+      generationPort = chrome.runtime.connect({ name: 'generation' });
+      generationPort.onMessage.addListener((message) => {
+        jobEventQueue = jobEventQueue.then(() => handleJobEvent(message)).catch((error) => {
+          console.error('Error handling job event:', error);
+        });
+      });
+      // The service worker was stopped; connect again on next use
+      generationPort.onDisconnect.addListener(() => {
+        generationPort = null;
+        jobEventQueue = jobEventQueue.then(() => {
+          if (activeJob || requestedJobId || activeComparison || requestedComparison) {
+            failJob('The connection to the background worker was lost.');
+          }
+        });
+      });
+    }
+    return generationPort;
+  }
+
+  // Follow the open chat's answers; one that is still running is replayed
+  function subscribeToChat() {
+    getGenerationPort().postMessage({ type: 'subscribe', chatId: currentChat.id });
+  }
+
+  function setSendingState(sending) {
+    isSendingMessage = sending;
+    userInput.disabled = sending;
+    sendButton.textContent = sending ? 'Stop' : 'Send';
+    sendButton.classList.toggle('stop-mode', sending);
+    updateMessageActions();
+    if (!sending) {
+      userInput.focus();
+    }
+  }
+
+  // Add the streaming answer element; content and steps are the output so far
+  function showJob(jobId, content, isOwn, steps = []) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message assistant-message';
+    messageDiv.dataset.turnIndex = currentChat.messages.length;
+    chatMessages.appendChild(messageDiv);
+    const renderer = createMarkdownRenderer(messageDiv, {
+      onRender: () => {
+        codeBlocks.decorate(messageDiv, { onInsert: insertIntoPage });
+        followStream();
+      }
+    });
+
+    activeJob = { id: jobId, content, messageDiv, renderer, isOwn, stepsDiv: null };
+    steps.forEach(showJobStep);
+    if (content) {
+      renderer.update(content);
+    }
+    setSendingState(true);
+  }
+
+  // Tool calls of an answer, shown as collapsible steps above it
+  function createToolSteps(beforeElement = null) {
+    const stepsDiv = document.createElement('div');
+    stepsDiv.className = 'tool-steps';
+    chatMessages.insertBefore(stepsDiv, beforeElement);
+    return stepsDiv;
+  }
+
+  const toolStepLabels = {
+    running: '⏳ running',
+    approval: '✋ waiting for your approval',
+    done: '✅',
+    error: '⚠️ failed',
+    declined: '⛔ declined'
+  };
+
+  // Add or update a step; a step waiting for approval in a running job
+  // (jobId) gets Allow and Deny buttons
+  function renderToolStep(stepsDiv, step, jobId = null) {
+    let details = stepsDiv.querySelector(`[data-step-id="${CSS.escape(step.id)}"]`);
+    if (!details) {
+      details = document.createElement('details');
+      details.dataset.stepId = step.id;
+      stepsDiv.appendChild(details);
+    }
+    const wasOpen = details.open;
+    details.innerHTML = '';
+    details.className = `tool-step ${step.status}`;
+
+    const summary = document.createElement('summary');
+    const args = step.arguments && step.arguments !== '{}' ? ` ${step.arguments}` : '';
+    summary.textContent = `🔧 ${step.name}${args.length > 80 ? args.substring(0, 80) + '...' : args} ${toolStepLabels[step.status] || ''}`;
+    details.appendChild(summary);
+
+    const argumentsPre = document.createElement('pre');
+    argumentsPre.textContent = `Arguments: ${step.arguments || '{}'}`;
+    details.appendChild(argumentsPre);
+    if (step.result) {
+      const resultPre = document.createElement('pre');
+      resultPre.textContent = step.result;
+      details.appendChild(resultPre);
+    }
+
+    if (step.status === 'approval' && jobId) {
+      const approval = document.createElement('div');
+      approval.className = 'tool-step-approval';
+      [['✅ Allow', '이 작업 허용', true], ['⛔ Deny', '이 작업 거부', false]].forEach(([text, title, approved]) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', () => {
+          approval.querySelectorAll('button').forEach(item => { item.disabled = true; });
+          getGenerationPort().postMessage({ type: 'approve', jobId, stepId: step.id, approved });
+        });
+        approval.appendChild(button);
+      });
+      details.appendChild(approval);
+      details.open = true;
+    } else {
+      details.open = wasOpen && step.status !== 'done';
+    }
+  }
+
+  function showJobStep(step) {
+    if (!activeJob.stepsDiv) {
+      activeJob.stepsDiv = createToolSteps(activeJob.messageDiv);
+    }
+    renderToolStep(activeJob.stepsDiv, step, activeJob.id);
+    followStream();
+  }
+
+  // Steps as saved with the answer, without approval buttons
+  function showSavedSteps(turn) {
+    if (activeJob.stepsDiv && turn.steps) {
+      turn.steps.forEach(step => renderToolStep(activeJob.stepsDiv, step));
+    }
+  }
+
+  // Show the worker's progress on the job; '' removes it, and a kept
+  // notice stays in the chat
+  function showJobStatus(text, keep = false) {
+    if (keep) {
+      showChatStatus(text);
+      return;
+    }
+    if (!text) {
+      if (jobStatusDiv) {
+        jobStatusDiv.remove();
+        jobStatusDiv = null;
+      }
+      return;
+    }
+    if (!jobStatusDiv) {
+      jobStatusDiv = showChatStatus(text);
+    }
+    jobStatusDiv.textContent = text;
+  }
+
+  // Whether a job event belongs to the answer or comparison this view asked for
+  function isOwnJob(jobId) {
+    return (activeJob && activeJob.id === jobId && activeJob.isOwn) ||
+      Boolean(activeComparison && activeComparison.isOwn && activeComparison.columns.has(jobId));
+  }
+
+  function endJob() {
+    // Approvals can't be answered once the job is over
+    chatMessages.querySelectorAll('.tool-step-approval').forEach(approval => approval.remove());
+    showJobStatus('');
+    activeJob = null;
+    requestedJobId = null;
+    activeComparison = null;
+    requestedComparison = null;
+    setSendingState(false);
+  }
+
+  // Show an error; a partial answer stays on screen but isn't saved
+  function failJob(error) {
+    if (activeJob && activeJob.content) {
+      activeJob.renderer.finish(activeJob.content);
+    } else if (activeJob) {
+      activeJob.messageDiv.remove();
+    }
+    if (activeComparison) {
+      activeComparison.columns.forEach(column => column.renderer.finish(column.content));
+    }
+    addMessage(`Sorry, there was an error processing your request: ${error}`);
+    endJob();
+  }
+
+  // Element for a comparison turn, with an empty column per answer
+  function createComparisonElement(count) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message assistant-message comparison';
+    const columnsDiv = document.createElement('div');
+    columnsDiv.className = 'comparison-columns';
+    for (let i = 0; i < count; i++) {
+      const columnDiv = document.createElement('div');
+      columnDiv.className = 'comparison-column';
+      columnsDiv.appendChild(columnDiv);
+    }
+    messageDiv.appendChild(columnsDiv);
+    chatMessages.appendChild(messageDiv);
+    return messageDiv;
+  }
+
+  // Fill a column with the model's name and an empty answer body
+  function fillComparisonColumn(messageDiv, index, modelKey) {
+    const columnDiv = messageDiv.querySelectorAll('.comparison-column')[index];
+    columnDiv.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'comparison-header';
+    const label = document.createElement('span');
+    label.className = 'comparison-model';
+    label.textContent = modelComparison.getLabel(endpoints, modelKey);
+    header.appendChild(label);
+    const bodyDiv = document.createElement('div');
+    bodyDiv.className = 'comparison-body';
+    columnDiv.append(header, bodyDiv);
+    return { columnDiv, header, bodyDiv };
+  }
+
+  // Add a column of the comparison being generated; replaying a comparison
+  // started elsewhere loads its chat first
+  async function showComparisonColumn(message) {
+    const { id, index, count } = message.comparison;
+    if (!activeComparison || activeComparison.id !== id) {
+      const isOwn = Boolean(requestedComparison) && requestedComparison.id === id;
+      if (!isOwn) {
+        if (isSendingMessage || message.chatId !== currentChat.id) return;
+        const chat = await chatHistory.get(message.chatId);
+        if (!chat) return;
+        currentChat = chat;
+        cancelEditing();
+        renderConversation();
+      }
+      const messageDiv = createComparisonElement(count);
+      messageDiv.dataset.turnIndex = currentChat.messages.length;
+      activeComparison = { id, messageDiv, columns: new Map(), isOwn };
+      setSendingState(true);
+    }
+
+    const { columnDiv, bodyDiv } = fillComparisonColumn(activeComparison.messageDiv, index, message.model);
+    const renderer = createMarkdownRenderer(bodyDiv, {
+      onRender: () => {
+        codeBlocks.decorate(bodyDiv, { onInsert: insertIntoPage });
+        followStream();
+      }
+    });
+    const column = { content: message.content, columnDiv, bodyDiv, renderer };
+    activeComparison.columns.set(message.jobId, column);
+    if (message.content) {
+      renderer.update(message.content);
+    }
+  }
+
+  function handleColumnEvent(column, message) {
+    if (message.type === 'token') {
+      column.content += message.delta;
+      column.renderer.update(column.content);
+    } else if (message.type === 'done') {
+      column.renderer.finish(message.turn.content);
+      showMessageStats(column.columnDiv, message.turn.stats);
+      if (activeComparison.isOwn) {
+        addToSessionUsage(message.turn.stats);
+      }
+    } else if (message.type === 'abort') {
+      column.renderer.finish(column.content);
+      column.columnDiv.classList.add('stopped');
+    } else if (message.type === 'error') {
+      column.renderer.finish(column.content);
+      showColumnError(column.bodyDiv, message.error);
+    }
+  }
+
+  function showColumnError(bodyDiv, error) {
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'comparison-error';
+    errorDiv.textContent = `Sorry, there was an error: ${error}`;
+    bodyDiv.appendChild(errorDiv);
+  }
+
+  // Mark a compared answer as preferred and continue the chat with its model
+  async function preferAnswer(turnIndex, answerIndex) {
+    if (isSendingMessage) return;
+
+    const turn = currentChat.messages[turnIndex];
+    if (!modelComparison.prefer(turn, answerIndex)) return;
+
+    const modelKey = turn.comparison.answers[answerIndex].model;
+    if (getModelSelection(modelKey)) {
+      modelSelect.value = modelKey;
+      chrome.storage.local.set({ selectedModel: modelKey });
+      updateExtraSettingFields();
+    }
+    setCompareMode(false);
+    renderConversation();
+    await saveCurrentChat();
+  }
+
+  async function handleJobEvent(message) {
+    const isCurrentJob = (activeJob && activeJob.id === message.jobId) ||
+      Boolean(activeComparison && activeComparison.columns.has(message.jobId));
+    if (message.type === 'status') {
+      if (isCurrentJob) {
+        showJobStatus(message.text, message.keep);
+      }
+      return;
+    }
+    if (message.type === 'usage') {
+      if (isOwnJob(message.jobId)) {
+        addToSessionUsage(message.stats);
+      }
+      return;
+    }
+    if (message.type === 'start' && message.comparison) {
+      await showComparisonColumn(message);
+      return;
+    }
+    if (message.type === 'compared') {
+      if (!activeComparison || message.comparisonId !== activeComparison.id) return;
+      if (message.turn) {
+        currentChat.messages.push(message.turn);
+        endJob();
+        renderConversation();
+      } else {
+        addMessage(message.error ? `Sorry, there was an error: ${message.error}` : 'Sorry, none of the models answered.');
+        endJob();
+      }
+      return;
+    }
+    if (activeComparison && activeComparison.columns.has(message.jobId)) {
+      handleColumnEvent(activeComparison.columns.get(message.jobId), message);
+      return;
+    }
+
+    if (message.type === 'running') {
+      // Reopened while an answer is still being generated: show that chat
+      const job = message.jobs[message.jobs.length - 1];
+      if (job && currentChat.messages.length === 0 && !isSendingMessage) {
+        await openChat(job.chatId);
+      }
+      return;
+    }
+
+    if (message.type === 'start') {
+      const isOwn = message.jobId === requestedJobId;
+      if (!isOwn) {
+        if (isSendingMessage || message.chatId !== currentChat.id) return;
+        // Started from another view (or before this one opened): load the
+        // question it answers
+        const chat = await chatHistory.get(message.chatId);
+        if (!chat) return;
+        currentChat = chat;
+        cancelEditing();
+        renderConversation();
+      }
+      showJob(message.jobId, message.content, isOwn, message.steps);
+      return;
+    }
+
+    if (!activeJob || message.jobId !== activeJob.id) return;
+
+    if (message.type === 'token') {
+      activeJob.content += message.delta;
+      activeJob.renderer.update(activeJob.content);
+    } else if (message.type === 'step') {
+      showJobStep(message.step);
+    } else if (message.type === 'done') {
+      showSavedSteps(message.turn);
+      activeJob.renderer.finish(message.turn.content);
+      showMessageStats(activeJob.messageDiv, message.turn.stats);
+      if (activeJob.isOwn) {
+        addToSessionUsage(message.turn.stats);
+      }
+      currentChat.messages.push(message.turn);
+      endJob();
+    } else if (message.type === 'abort') {
+      // Stopped: the worker kept whatever was streamed so far
+      if (message.turn) {
+        showSavedSteps(message.turn);
+        activeJob.renderer.finish(message.turn.content);
+        activeJob.messageDiv.classList.add('stopped');
+        currentChat.messages.push(message.turn);
+      } else {
+        activeJob.messageDiv.remove();
+        if (activeJob.stepsDiv) {
+          activeJob.stepsDiv.remove();
+        }
+      }
+      endJob();
+    } else if (message.type === 'error') {
+      failJob(message.error);
+    }
+  }
+
+  // Add message to chat
+  // turnIndex links the element to its entry in currentChat.messages
+  // Returns the message element
+  function addMessage(message, isUser = false, turnIndex = null) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${isUser ? 'user-message' : 'assistant-message'}`;
+    if (turnIndex !== null) {
+      messageDiv.dataset.turnIndex = turnIndex;
+    }
+    renderStaticMarkdown(messageDiv, message);
+    chatMessages.appendChild(messageDiv);
+
+    // Add click handlers for message selection headers
+    messageDiv.querySelectorAll('.message-selection-header').forEach(header => {
+      header.addEventListener('click', () => {
+        const content = header.nextElementSibling;
+        const icon = header.querySelector('.message-selection-icon');
+        content.classList.toggle('collapsed');
+        icon.classList.toggle('collapsed');
+      });
+    });
+    
+    // Scroll to bottom
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return messageDiv;
+  }
+
+  // Render finished Markdown, with highlighted and decorated code blocks
+  function renderStaticMarkdown(element, markdown) {
+    element.innerHTML = htmlSanitizer.renderMarkdown(markdown);
+    element.querySelectorAll('pre code').forEach((block) => {
+      hljs.highlightElement(block);
+    });
+    codeBlocks.decorate(element, { onInsert: insertIntoPage });
+  }
+
+  // Saved comparison: a column per answer, each of which can be marked preferred
+  function addComparison(turn, turnIndex) {
+    const { answers, preferred } = turn.comparison;
+    const messageDiv = createComparisonElement(answers.length);
+    messageDiv.dataset.turnIndex = turnIndex;
+
+    answers.forEach((answer, answerIndex) => {
+      const { columnDiv, header, bodyDiv } = fillComparisonColumn(messageDiv, answerIndex, answer.model);
+      renderStaticMarkdown(bodyDiv, answer.content || '');
+      if (answer.error) {
+        showColumnError(bodyDiv, answer.error);
+      }
+      columnDiv.classList.toggle('stopped', Boolean(answer.stopped));
+      columnDiv.classList.toggle('preferred', preferred === answerIndex);
+      if (answer.stats) {
+        showMessageStats(columnDiv, answer.stats);
+      }
+
+      if (answer.content) {
+        const preferButton = document.createElement('button');
+        preferButton.className = 'prefer-button';
+        preferButton.textContent = preferred === answerIndex ? '⭐ Preferred' : '☆ Prefer';
+        preferButton.title = '이 답변을 선택하고 이 모델로 대화 이어가기';
+        preferButton.addEventListener('click', () => preferAnswer(turnIndex, answerIndex));
+        header.appendChild(preferButton);
+      }
+    });
+    return messageDiv;
+  }
+
+  // Add auto-resize functionality to input
+  userInput.addEventListener('input', function() {
+    this.style.height = 'auto';
+    this.style.height = (this.scrollHeight) + 'px';
+  });
+
+  // Re-render the whole thread from currentChat
+  function renderConversation() {
+    chatMessages.innerHTML = '';
+    currentChat.messages.forEach((turn, index) => {
+      if (turn.comparison) {
+        addComparison(turn, index);
+        return;
+      }
+      if (turn.steps) {
+        const stepsDiv = createToolSteps();
+        turn.steps.forEach(step => renderToolStep(stepsDiv, step));
+      }
+      const messageDiv = addMessage(turn.display || turn.content, turn.role === 'user', index);
+      if (turn.stats) {
+        showMessageStats(messageDiv, turn.stats);
+      }
+    });
+    updateMessageActions();
+  }
+
+  // Send text to the last focused text field on the page (see editor.js)
+  async function insertIntoPage(text, button) {
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'insertIntoPage', text, tabId: contextTab && contextTab.id });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+
+    if (response && response.success) {
+      const label = button.textContent;
+      button.textContent = '✅ Inserted';
+      setTimeout(() => {
+        button.textContent = label;
+      }, 1500);
+    } else {
+      showChatStatus((response && response.error) || 'Could not insert into the page.');
+    }
+  }
+
+  // Add Edit buttons to user messages, Insert into page to answers and
+  // Regenerate to the last message
+  function updateMessageActions() {
+    chatMessages.querySelectorAll('.message-actions').forEach(actions => actions.remove());
+    if (isSendingMessage) return;
+
+    const lastIndex = currentChat.messages.length - 1;
+    chatMessages.querySelectorAll('.message[data-turn-index]').forEach(messageDiv => {
+      const index = Number(messageDiv.dataset.turnIndex);
+      const turn = currentChat.messages[index];
+      if (!turn) return;
+
+      const actions = document.createElement('div');
+      actions.className = 'message-actions';
+
+      if (turn.role === 'user') {
+        const editButton = document.createElement('button');
+        editButton.textContent = '✏️ Edit';
+        editButton.title = '수정 후 다시 보내기';
+        editButton.addEventListener('click', () => startEditing(index));
+        actions.appendChild(editButton);
+      } else {
+        const insertButton = document.createElement('button');
+        insertButton.textContent = '📥 Insert into page';
+        insertButton.title = '페이지의 입력 칸에 넣기';
+        insertButton.addEventListener('click', () => insertIntoPage(turn.content, insertButton));
+        actions.appendChild(insertButton);
+      }
+
+      // The last message gets Regenerate, or Retry if it never got an answer
+      if (index === lastIndex) {
+        const regenerateButton = document.createElement('button');
+        regenerateButton.textContent = turn.role === 'user' ? '🔄 Retry' : '🔄 Regenerate';
+        regenerateButton.title = '답변 다시 생성';
+        regenerateButton.addEventListener('click', regenerateReply);
+        actions.appendChild(regenerateButton);
+      }
+
+      if (actions.childElementCount > 0) {
+        messageDiv.appendChild(actions);
+      }
+    });
+  }
+
+  // Collapsible chip shown under a user message for attached context
+  // Label and preview are plain text (page titles, selections) and are escaped
+  function formatContextChip(label, previewText) {
+    return `
+<div class="message-selection">
+  <div class="message-selection-header">
+    <svg class="message-selection-icon collapsed" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+      <polyline points="6 9 12 15 18 9"></polyline>
+    </svg>
+    <span>${htmlSanitizer.escapeHtml(label)}</span>
+  </div>
+  <div class="message-selection-content collapsed">
+    <pre>${htmlSanitizer.escapeHtml(previewText)}</pre>
+  </div>
+</div>`;
+  }
+
+  // Build a user turn: attached selection, page content and tray items are
+  // sent in full but shown as collapsed previews. A /command sends its
+  // rendered template prompt instead of the typed text; a selection the
+  // template already uses isn't attached again.
+  function buildUserTurn({ text, selection = '', page = null, template = null, attachments = [] }) {
+    let display = text;
+    let content = template ? template.prompt : text;
+
+    if (template) {
+      const maxLength = 300;
+      const preview = template.prompt.length > maxLength
+        ? template.prompt.substring(0, maxLength) + '...'
+        : template.prompt;
+      display += formatContextChip(`Template /${template.command}`, preview);
+    }
+
+    if (selection && !(template && template.usesSelection)) {
+      // UI에 표시되는 메시지용 간략한 형식
+      const maxLength = 100;
+      const truncatedText = selection.length > maxLength 
+        ? selection.substring(0, maxLength) + '...'
+        : selection;
+
+      // LLM에 보내는 실제 메시지에는 전체 선택 텍스트를 포함
+      const formattedFullSelection = `Selected text: "${selection}"`;
+      
+      // Add selection to messages
+      display += formatContextChip(`Selected text (${selection.length} chars)`, truncatedText); // UI 표시용
+      content += '\n\n' + formattedFullSelection; // LLM 전송용
+    }
+
+    if (page) {
+      display += formatContextChip(
+        `Page: ${page.title || page.url} (${page.mainContent.length} chars)`,
+        [page.url, page.description].filter(Boolean).join('\n')
+      );
+      content += '\n\n' + [
+        'Page context:',
+        `Title: ${page.title}`,
+        `URL: ${page.url}`,
+        page.description ? `Description: ${page.description}` : '',
+        'Content:',
+        page.mainContent
+      ].filter(Boolean).join('\n');
+    }
+
+    // Tray items go in as numbered, labeled blocks
+    if (attachments.length > 0) {
+      attachments.forEach((item, index) => {
+        const maxLength = 150;
+        const preview = item.content.length > maxLength
+          ? item.content.substring(0, maxLength) + '...'
+          : item.content;
+        display += formatContextChip(
+          `${index + 1}. ${item.type === 'tab' ? 'Page' : 'Snippet'}: ${item.title} (${item.content.length} chars)`,
+          [item.url, preview].filter(Boolean).join('\n')
+        );
+      });
+      content += '\n\nAttached context:\n\n' + contextTray.toPromptBlocks(attachments);
+    }
+
+    return { role: 'user', content, display, text, selection, page, attachments, createdAt: Date.now() };
+  }
+
+  // Expand "/command input" with the template library
+  // Returns { command, prompt, usesSelection }, null for plain messages,
+  // or false if the page the template needs could not be read
+  async function expandTemplate(message, selection) {
+    const templateCall = promptTemplates.parseCommand(templates, message);
+    if (!templateCall) return null;
+
+    const { template, input } = templateCall;
+    const variables = { input };
+    const usesSelection = promptTemplates.uses(template.prompt, 'selection');
+    if (usesSelection) {
+      variables.selection = selection || currentSelection;
+    }
+
+    if (promptTemplates.uses(template.prompt, 'page.')) {
+      const pageInfo = await getPageInfo();
+      if (!pageInfo || !pageInfo.url) return false;
+
+      variables['page.title'] = pageInfo.title;
+      variables['page.url'] = pageInfo.url;
+      variables['page.content'] = pageInfo.mainContent;
+    }
+
+    return {
+      command: template.command,
+      prompt: promptTemplates.render(template.prompt, variables),
+      usesSelection
+    };
+  }
+
+  // Ask the background worker to answer the current thread; the answer
+  // streams in through handleJobEvent and is saved by the worker
+  async function requestReply() {
+    setSendingState(true);
+
+    try {
+      // Save the question first; the worker adds the answer to the saved chat
+      if (!(await saveCurrentChat())) {
+        setSendingState(false);
+        return;
+      }
+
+      if (isCompareMode) {
+        await requestComparison();
+        return;
+      }
+
+      const selection = getModelSelection(modelSelect.value);
+      if (!selection) {
+        throw new Error('No model selected. Add one on the settings page.');
+      }
+      if (settingsProblems.length > 0) {
+        throw new Error(`Fix the chat settings first: ${settingsProblems.join(' ')}`);
+      }
+
+      // The worker reads the saved thread and fits it into the model's context window
+      requestedJobId = crypto.randomUUID();
+      getGenerationPort().postMessage({
+        type: 'start',
+        jobId: requestedJobId,
+        chatId: currentChat.id,
+        model: modelSelect.value,
+        settings: generationSettings.forEndpoint(currentChat.settings, selection.endpoint),
+        tools: useTools,
+        tabId: contextTab ? contextTab.id : null
+      });
+    } catch (error) {
+      // A failed request leaves the question in place so it can be retried
+      console.error('Error:', error);
+      addMessage(`Sorry, there was an error processing your request: ${error.message}`);
+      setSendingState(false);
+    }
+  }
+
+  // Send the thread to every checked model, each as its own job
+  // Every column's job is started at once, so the worker gets the whole
+  // comparison (see jobs.js)
+  async function requestComparison() {
+    const modelKeys = compareModels.filter(key => getModelSelection(key));
+    if (modelKeys.length < 2) {
+      throw new Error('Check at least two models to compare.');
+    }
+    if (settingsProblems.length > 0) {
+      throw new Error(`Fix the chat settings first: ${settingsProblems.join(' ')}`);
+    }
+
+    // Long context is condensed once, by the worker, for every column
+    const jobs = modelKeys.map(model => ({
+      jobId: crypto.randomUUID(),
+      model,
+      settings: generationSettings.forEndpoint(currentChat.settings, getModelSelection(model).endpoint)
+    }));
+
+    requestedComparison = { id: crypto.randomUUID(), jobIds: jobs.map(job => job.jobId) };
+    jobs.forEach((job, index) => {
+      getGenerationPort().postMessage({
+        type: 'start',
+        ...job,
+        chatId: currentChat.id,
+        comparison: { id: requestedComparison.id, index, count: jobs.length }
+      });
+    });
+  }
+
+  // Stop condensing, or the answer being generated; the partial answer is kept
+  function stopGeneration() {
+    const jobId = activeJob ? activeJob.id : requestedJobId;
+    if (jobId) {
+      getGenerationPort().postMessage({ type: 'abort', jobId });
+    }
+    const comparisonJobIds = requestedComparison
+      ? requestedComparison.jobIds
+      : (activeComparison ? Array.from(activeComparison.columns.keys()) : []);
+    comparisonJobIds.forEach(id => getGenerationPort().postMessage({ type: 'abort', jobId: id }));
+  }
+
+  // Drop the last answer (if any) and ask the same question again
+  async function regenerateReply() {
+    if (isSendingMessage) return;
+
+    const lastTurn = currentChat.messages[currentChat.messages.length - 1];
+    if (!lastTurn) return;
+    if (lastTurn.role === 'assistant') {
+      currentChat.messages.pop();
+    }
+
+    cancelEditing();
+    renderConversation();
+    await requestReply();
+  }
+
+  // Load a user message into the input; sending it replaces that message and everything after it
+  function startEditing(index) {
+    if (isSendingMessage) return;
+
+    const turn = currentChat.messages[index];
+    editingTurnIndex = index;
+
+    chatMessages.querySelectorAll('.message.editing').forEach(div => div.classList.remove('editing'));
+    const messageDiv = chatMessages.querySelector(`.message[data-turn-index="${index}"]`);
+    if (messageDiv) {
+      messageDiv.classList.add('editing');
+    }
+
+    userInput.value = turn.text ?? turn.content;
+    userInput.placeholder = 'Edit your message... (Esc to cancel)';
+    userInput.style.height = 'auto';
+    userInput.style.height = (userInput.scrollHeight) + 'px';
+    userInput.focus();
+  }
+
+  function cancelEditing() {
+    if (editingTurnIndex === null) return;
+
+    editingTurnIndex = null;
+    chatMessages.querySelectorAll('.message.editing').forEach(div => div.classList.remove('editing'));
+    userInput.placeholder = 'Type your message here...';
+    userInput.value = '';
+    userInput.style.height = 'auto';
+  }
+
+  // Add a user message to the thread and request a reply
+  // Attaches the stored selection, the context tray and, if requested, the current page
+  async function submitMessage(message, { attachPage = isPageContextStored } = {}) {
+    // An edited message keeps its original context unless new context is attached
+    const editedTurn = editingTurnIndex !== null ? currentChat.messages[editingTurnIndex] : null;
+    let selection = editedTurn ? editedTurn.selection || '' : '';
+    let page = editedTurn ? editedTurn.page || null : null;
+    const attachments = trayItems.length > 0 ? trayItems : (editedTurn && editedTurn.attachments) || [];
+      
+    // If selection is stored, add it to the message internally
+    if (isSelectionStored && currentSelection) {
+      selection = currentSelection;
+
+      // Reset selection stored state after using it
+      isSelectionStored = false;
+      useSelectionButton.textContent = '📋 Use Selection';
+      useSelectionButton.classList.remove('selection-stored');
+    }
+
+    const template = await expandTemplate(message, selection);
+    if (template === false) {
+      addMessage('Sorry, the content of this page could not be read.');
+      return;
+    }
+    if (template && template.usesSelection && !selection) {
+      selection = currentSelection;
+    }
+
+    if (attachPage) {
+      const pageInfo = await getPageInfo();
+      if (!pageInfo || !pageInfo.url) {
+        addMessage('Sorry, the content of this page could not be read.');
+        return;
+      }
+      const { title, url, description, mainContent } = pageInfo;
+      page = { title, url, description, mainContent };
+      setPageContextStored(false);
+    }
+
+    // Editing truncates the thread at the edited message
+    if (editedTurn) {
+      currentChat.messages.splice(editingTurnIndex);
+      cancelEditing();
+      renderConversation();
+    }
+
+    // Name the chat after its first question
+    if (currentChat.messages.length === 0) {
+      currentChat.title = chatHistory.makeTitle(message);
+    }
+
+    // The full message (including the attached context) is kept in the thread,
+    // along with what was displayed so saved chats render the same way
+    const turn = buildUserTurn({ text: message, selection, page, template, attachments });
+    currentChat.messages.push(turn);
+    if (attachments === trayItems && trayItems.length > 0) {
+      contextTray.clear();
+      contextTrayPanel.classList.add('hidden');
+    }
+    addMessage(turn.display, true, currentChat.messages.length - 1);
+
+    userInput.value = '';
+    userInput.style.height = 'auto'; // Reset height
+
+    await requestReply();
+  }
+
+  // Send the typed message, or stop the answer that is streaming
+  sendButton.addEventListener('click', async function() {
+    if (isSendingMessage) {
+      stopGeneration();
+      return;
+    }
+    
+    const message = userInput.value.trim();
+    if (!message) return;
+
+    await submitMessage(message);
+  });
+
+  // One-click page actions always attach the current page
+  function runPageAction(prompt) {
+    if (isSendingMessage) return;
+
+    cancelEditing();
+    submitMessage(prompt, { attachPage: true });
+  }
+
+  summarizePageButton.addEventListener('click', () => {
+    runPageAction('Summarize this page.');
+  });
+
+  keyPointsButton.addEventListener('click', () => {
+    runPageAction('List the key points of this page as bullet points.');
+  });
+
+  // /command autocomplete
+  let commandMatches = [];
+  let activeCommandIndex = 0;
+
+  function renderCommandMenu() {
+    commandMenu.innerHTML = '';
+    commandMenu.classList.toggle('hidden', commandMatches.length === 0);
+
+    commandMatches.forEach((template, index) => {
+      const item = document.createElement('li');
+      item.className = 'command-item';
+      item.classList.toggle('active', index === activeCommandIndex);
+
+      const command = document.createElement('span');
+      command.className = 'command-name';
+      command.textContent = `/${template.command}`;
+
+      const name = document.createElement('span');
+      name.className = 'command-description';
+      name.textContent = template.name;
+
+      item.appendChild(command);
+      item.appendChild(name);
+      // mousedown keeps focus in the textarea
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        chooseCommand(index);
+      });
+      commandMenu.appendChild(item);
+    });
+  }
+
+  // Show matching templates while the input is just "/partial-command"
+  function updateCommandMenu() {
+    const match = /^\/([\w-]*)$/.exec(userInput.value);
+    commandMatches = match ? promptTemplates.findMatches(templates, match[1]) : [];
+    activeCommandIndex = 0;
+    renderCommandMenu();
+  }
+
+  function hideCommandMenu() {
+    commandMatches = [];
+    renderCommandMenu();
+  }
+
+  function chooseCommand(index) {
+    userInput.value = `/${commandMatches[index].command} `;
+    hideCommandMenu();
+    userInput.focus();
+  }
+
+  userInput.addEventListener('input', updateCommandMenu);
+  userInput.addEventListener('blur', hideCommandMenu);
+
+  // Handle Enter key
+  userInput.addEventListener('keydown', function(e) {
+    // Navigate the /command menu while it is open
+    if (commandMatches.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        activeCommandIndex = (activeCommandIndex + step + commandMatches.length) % commandMatches.length;
+        renderCommandMenu();
+        return;
+      }
+      if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Tab') {
+        e.preventDefault();
+        chooseCommand(activeCommandIndex);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        hideCommandMenu();
+        return;
+      }
+    }
+
+    if (e.key === 'Escape' && editingTurnIndex !== null) {
+      e.preventDefault();
+      cancelEditing();
+      return;
+    }
+
+    if (e.key === 'Enter') {
+      if (e.shiftKey) {
+        // Shift + Enter: Allow new line
+        return;
+      } else {
+        // Enter only: Send message
+        e.preventDefault(); // Prevent default new line
+        if (!isSendingMessage) { // Only send if not already sending
+          console.log('Enter key pressed');
+          sendButton.click();
+        }
+      }
+    }
+  });
+
+  // Chats started from context menu actions (see background.js)
+  // A notification click opens popup.html?chat=<id>
+  const requestedChatId = new URLSearchParams(window.location.search).get('chat');
+  if (requestedChatId) {
+    openChat(requestedChatId);
+  } else {
+    getGenerationPort().postMessage({ type: 'running' });
+  }
+
+  // The side panel shows actions that target it once they finish
+  if (isSidePanel) {
+    const openPendingChat = async () => {
+      const { pendingChatId } = await chrome.storage.local.get(['pendingChatId']);
+      if (!pendingChatId) return;
+      await chrome.storage.local.remove(['pendingChatId']);
+      openChat(pendingChatId);
+    };
+
+    let actionStatus = null;
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.action === 'menuActionStarted') {
+        actionStatus = showChatStatus(`${message.title}: working...`);
+      } else if (message.action === 'menuActionFailed') {
+        if (actionStatus) actionStatus.remove();
+        actionStatus = null;
+        addMessage(message.error, false);
+      } else if (message.action === 'openChat') {
+        if (actionStatus) actionStatus.remove();
+        actionStatus = null;
+        openPendingChat();
+      }
+    });
+
+    // The action may have finished before the panel was ready
+    openPendingChat();
+  }
+
+  // Find the tab to read from, then check for selection when popup opens
+  updateContextTab().then(checkForSelection);
   
   // Check for selection changes more frequently
   // This adds real-time monitoring for selections while popup is open
@@ -0,0 +1,317 @@
+// Provider adapters for the LLM backends
+//
+// An adapter describes one wire protocol:
+// - label: name shown on the options page
+// - streamFormat: 'sse' (data: lines) or 'ndjson' (one JSON object per line)
+// - buildRequest({ endpoint, model, messages, settings, tools }): returns { url, body }
+//   settings are the chat's generation settings (see generation.js); fields
+//   that are set override the model's params; tools is an optional list of
+//   tool definitions (see tools.js), sent only by adapters with supportsTools
+// - extraSettings: optional; settings fields beyond the common ones that the
+//   adapter maps, e.g. ['numCtx']
+// - getHeaders(endpoint): returns the request headers, including auth
+// - parseEvent(data): turns one parsed stream event into { content, done, usage, toolCalls }
+//   where usage is null or { promptTokens, completionTokens, ... } and toolCalls
+//   is null or a list of { index, id, name, arguments } pieces; pieces with the
+//   same index are parts of one call (see streamCompletion)
+// - supportsTools: optional; the backend takes "tools" and returns tool calls.
+//   Such adapters also have formatToolCalls(content, toolCalls) and
+//   formatToolResult(toolCall, result), which build the assistant and tool
+//   messages that continue the thread after tools have run
+//   (line buffering and error records are handled by createStreamDecoder in stream.js)
+// - getModelsUrl(endpoint) and parseModelList(data): optional; list the models the
+//   server has as [{ id, name, contextLength?, details }] (see discovery.js)
+//
+// Adding a backend means registering a new adapter with providerRegistry.register.
+const providerRegistry = {
+  adapters: {},
+
+  register(type, adapter) {
+    this.adapters[type] = adapter;
+  },
+
+  get(type) {
+    const adapter = this.adapters[type];
+    if (!adapter) {
+      throw new Error(`Unknown provider type: ${type}`);
+    }
+    return adapter;
+  },
+
+  has(type) {
+    return Boolean(this.adapters[type]);
+  },
+
+  // List registered adapters as [type, label] pairs
+  list() {
+    return Object.entries(this.adapters).map(([type, adapter]) => [type, adapter.label]);
+  }
+};
+
+// Headers shared by every adapter: JSON body plus an optional bearer token
+function buildJsonHeaders(endpoint) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+  if (endpoint.apiKey) {
+    headers['Authorization'] = `Bearer ${endpoint.apiKey}`;
+  }
+  return headers;
+}
+
+// Copy the settings that are set to the backend's parameter names
+function mapSettings(settings = {}, names) {
+  const mapped = {};
+  Object.entries(names).forEach(([field, name]) => {
+    if (settings[field] !== undefined) {
+      mapped[name] = settings[field];
+    }
+  });
+  return mapped;
+}
+
+// OpenAI-compatible servers take sampling settings as top-level fields
+const openAISettingNames = {
+  temperature: 'temperature',
+  topP: 'top_p',
+  maxTokens: 'max_tokens',
+  stop: 'stop',
+  seed: 'seed'
+};
+
+// Ollama takes them in "options", with its own names
+const ollamaOptionNames = {
+  temperature: 'temperature',
+  topP: 'top_p',
+  maxTokens: 'num_predict',
+  stop: 'stop',
+  seed: 'seed',
+  numCtx: 'num_ctx'
+};
+
+// Body fields shared by both Ollama endpoints: the model's params, with the
+// settings merged into its options
+function buildOllamaParams(model, settings) {
+  const params = { ...model.params };
+  const options = { ...params.options, ...mapSettings(settings, ollamaOptionNames) };
+  if (Object.keys(options).length > 0) {
+    params.options = options;
+  }
+  return params;
+}
+
+// Ollama lists its local models at /api/tags, next to /api/chat and /api/generate
+function getOllamaModelsUrl(endpoint) {
+  return new URL('/api/tags', endpoint.url).toString();
+}
+
+function parseOllamaModelList(data) {
+  return (data.models || []).map(model => ({
+    id: model.model || model.name,
+    name: model.name,
+    details: {
+      size: model.size,
+      family: model.details?.family,
+      parameterSize: model.details?.parameter_size,
+      quantization: model.details?.quantization_level
+    }
+  }));
+}
+
+// OpenAI-compatible /v1/chat/completions (vLLM, llama.cpp server, LM Studio)
+providerRegistry.register('openai', {
+  label: 'OpenAI-compatible (vLLM, llama.cpp, LM Studio)',
+  streamFormat: 'sse',
+
+  // /v1/chat/completions -> /v1/models
+  getModelsUrl(endpoint) {
+    const url = new URL(endpoint.url);
+    url.pathname = /\/chat\/completions\/?$/.test(url.pathname)
+      ? url.pathname.replace(/\/chat\/completions\/?$/, '/models')
+      : '/v1/models';
+    return url.toString();
+  },
+
+  // vLLM also reports the context window as max_model_len
+  parseModelList(data) {
+    return (data.data || []).map(model => ({
+      id: model.id,
+      name: model.id,
+      contextLength: model.max_model_len,
+      details: { owner: model.owned_by }
+    }));
+  },
+
+  supportsTools: true,
+
+  buildRequest({ endpoint, model, messages, settings, tools }) {
+    const body = {
+      model: model.id,
+      messages,
+      ...model.params,
+      ...mapSettings(settings, openAISettingNames)
+    };
+    if (tools && tools.length > 0) {
+      body.tools = tools;
+    }
+    // Token counts are only sent in a final chunk when asked for
+    if (body.stream) {
+      body.stream_options = { include_usage: true, ...body.stream_options };
+    }
+    return { url: endpoint.url, body };
+  },
+
+  getHeaders: buildJsonHeaders,
+
+  parseEvent(data) {
+    const choice = data.choices?.[0];
+    // Calls are streamed in pieces: the id and name first, then the arguments
+    const toolCalls = choice?.delta?.tool_calls;
+    return {
+      content: choice?.delta?.content || '',
+      // The stream ends with "data: [DONE]", after the usage chunk
+      done: false,
+      usage: data.usage
+        ? {
+            promptTokens: data.usage.prompt_tokens,
+            completionTokens: data.usage.completion_tokens
+          }
+        : null,
+      toolCalls: toolCalls
+        ? toolCalls.map(call => ({
+            index: call.index,
+            id: call.id,
+            name: call.function?.name,
+            arguments: call.function?.arguments
+          }))
+        : null
+    };
+  },
+
+  formatToolCalls(content, toolCalls) {
+    return {
+      role: 'assistant',
+      content: content || null,
+      tool_calls: toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments || '{}' }
+      }))
+    };
+  },
+
+  formatToolResult(toolCall, result) {
+    return { role: 'tool', tool_call_id: toolCall.id, content: result };
+  }
+});
+
+// Usage fields from Ollama's final record (durations are in nanoseconds)
+function extractOllamaUsage(data) {
+  if (!data.done) return null;
+  return {
+    promptTokens: data.prompt_eval_count,
+    completionTokens: data.eval_count,
+    evalDuration: data.eval_duration,
+    totalDuration: data.total_duration
+  };
+}
+
+// Ollama /api/chat
+providerRegistry.register('ollama', {
+  label: 'Ollama (/api/chat)',
+  streamFormat: 'ndjson',
+  extraSettings: ['numCtx'],
+  supportsTools: true,
+  getModelsUrl: getOllamaModelsUrl,
+  parseModelList: parseOllamaModelList,
+
+  buildRequest({ endpoint, model, messages, settings, tools }) {
+    const body = {
+      model: model.id,
+      messages,
+      ...buildOllamaParams(model, settings)
+    };
+    if (tools && tools.length > 0) {
+      body.tools = tools;
+    }
+    return { url: endpoint.url, body };
+  },
+
+  getHeaders: buildJsonHeaders,
+
+  parseEvent(data) {
+    // Ollama sends whole calls, without ids, and arguments as an object
+    const toolCalls = data.message?.tool_calls;
+    return {
+      content: data.message?.content || '',
+      done: Boolean(data.done),
+      usage: extractOllamaUsage(data),
+      toolCalls: toolCalls
+        ? toolCalls.map(call => ({
+            name: call.function?.name,
+            arguments: JSON.stringify(call.function?.arguments || {})
+          }))
+        : null
+    };
+  },
+
+  formatToolCalls(content, toolCalls) {
+    return {
+      role: 'assistant',
+      content: content || '',
+      tool_calls: toolCalls.map(call => ({
+        function: { name: call.name, arguments: JSON.parse(call.arguments || '{}') }
+      }))
+    };
+  },
+
+  formatToolResult(toolCall, result) {
+    return { role: 'tool', tool_name: toolCall.name, content: result };
+  }
+});
+
+// Ollama /api/generate
+// This endpoint takes a single prompt, so earlier turns are sent as a transcript
+providerRegistry.register('ollama-generate', {
+  label: 'Ollama (/api/generate)',
+  streamFormat: 'ndjson',
+  extraSettings: ['numCtx'],
+  getModelsUrl: getOllamaModelsUrl,
+  parseModelList: parseOllamaModelList,
+
+  buildRequest({ endpoint, model, messages, settings }) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    const turns = messages.filter(message => message.role !== 'system');
+
+    // A single question is sent as-is; longer threads become a labeled transcript
+    const prompt = turns.length === 1
+      ? turns[0].content
+      : turns
+          .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+          .join('\n\n') + '\n\nAssistant:';
+
+    const body = {
+      model: model.id,
+      prompt,
+      ...buildOllamaParams(model, settings)
+    };
+    if (system) {
+      body.system = system;
+    }
+
+    return { url: endpoint.url, body };
+  },
+
+  getHeaders: buildJsonHeaders,
+
+  parseEvent(data) {
+    return {
+      content: data.response || '',
+      done: Boolean(data.done),
+      usage: extractOllamaUsage(data)
+    };
+  }
+});
@@ -0,0 +1,113 @@
+// Incremental Markdown rendering for streamed answers
+//
+// Re-rendering the whole answer for every token is slow for long answers
+// and resets text selection. Instead, the answer is split into top-level
+// Markdown blocks with marked's lexer. A block followed by another block can
+// no longer change, so it is rendered once and kept ("committed"); only the
+// unfinished trailing block is re-rendered. A fenced code block is committed
+// as soon as its closing fence arrives, and code is highlighted only once
+// committed. Updates are batched to one render per animation frame.
+//
+// onRender() is called after each render, e.g. to keep the view scrolled.
+function createMarkdownRenderer(container, { onRender = () => {} } = {}) {
+  let markdown = '';
+  // Length of the markdown that has been committed to the DOM
+  let committedLength = 0;
+  // Nodes of the trailing block, replaced on every render
+  let tailNodes = [];
+  let frameId = null;
+
+  function toNodes(tokens, highlight) {
+    const template = document.createElement('template');
+    template.innerHTML = htmlSanitizer.sanitize(marked.parser(tokens));
+    if (highlight) {
+      template.content.querySelectorAll('pre code').forEach(block => hljs.highlightElement(block));
+    } else {
+      // Code blocks that are still streaming
+      template.content.querySelectorAll('pre').forEach(pre => {
+        pre.dataset.streaming = 'true';
+      });
+    }
+    return Array.from(template.content.childNodes);
+  }
+
+  function isClosedFence(token) {
+    return token.type === 'code' && /^ {0,3}(`{3,}|~{3,})/.test(token.raw) &&
+           /\n {0,3}(`{3,}|~{3,})[ \t]*\n?$/.test(token.raw);
+  }
+
+  function render(isFinal) {
+    frameId = null;
+    tailNodes.forEach(node => node.remove());
+    tailNodes = [];
+
+    const source = markdown.slice(committedLength);
+    const tokens = marked.lexer(source);
+    // Trailing whitespace doesn't make the block before it final
+    let lastIndex = tokens.length - 1;
+    while (lastIndex > 0 && tokens[lastIndex].type === 'space') {
+      lastIndex--;
+    }
+
+    // Link definitions produce no token, so token offsets are looked up
+    const committedTokens = [];
+    const tailTokens = [];
+    let tailStart = null;
+    let position = 0;
+    tokens.forEach((token, index) => {
+      const found = source.indexOf(token.raw, position);
+      const start = found === -1 ? position : found;
+      position = start + token.raw.length;
+
+      const isFinished = isFinal || index < lastIndex || (index === lastIndex && isClosedFence(token));
+      if (isFinished && tailStart === null) {
+        committedTokens.push(token);
+      } else {
+        if (tailStart === null) {
+          tailStart = start;
+        }
+        tailTokens.push(token);
+      }
+    });
+
+    if (committedTokens.length > 0) {
+      toNodes(committedTokens, true).forEach(node => container.appendChild(node));
+    }
+    committedLength += tailStart === null ? source.length : tailStart;
+
+    if (tailTokens.length > 0) {
+      tailNodes = toNodes(tailTokens, false);
+      tailNodes.forEach(node => container.appendChild(node));
+    }
+
+    onRender();
+  }
+
+  return {
+    // Show the answer so far; rendering happens on the next animation frame
+    update(text) {
+      // The lexer normalizes line breaks; do the same so offsets match
+      markdown = text.replace(/\r\n?/g, '\n');
+      if (frameId === null) {
+        frameId = requestAnimationFrame(() => render(false));
+      }
+    },
+
+    // Render the complete answer right away
+    finish(text) {
+      markdown = text.replace(/\r\n?/g, '\n');
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+      }
+
+      // Reference-style link definitions apply to the whole answer, so
+      // blocks rendered before the definition arrived need a full render
+      if (Object.keys(marked.lexer(markdown).links || {}).length > 0) {
+        container.innerHTML = '';
+        committedLength = 0;
+        tailNodes = [];
+      }
+      render(true);
+    }
+  };
+}
@@ -0,0 +1,169 @@
+// Sanitizing HTML before it reaches the DOM
+//
+// Model output and page selections are untrusted: marked passes raw HTML
+// through, so every rendered message goes through an allowlist of tags and
+// attributes. Anything else is dropped (with its content for script-like
+// tags) or unwrapped to its text. Links only keep http(s) and mailto URLs and
+// open in a new tab. Images only show inline as data: URLs; a remote image
+// becomes a link, since loading it would send its URL (and whatever a reply
+// put in it) to that host without a click.
+const htmlSanitizer = {
+  // Allowed tags and the attributes each may keep (besides globalAttributes)
+  allowedTags: {
+    a: ['href'],
+    b: [],
+    blockquote: [],
+    br: [],
+    code: [],
+    del: [],
+    details: ['open'],
+    div: [],
+    em: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    i: [],
+    img: ['src', 'alt'],
+    input: ['type', 'checked'],
+    li: [],
+    ol: ['start'],
+    p: [],
+    pre: [],
+    s: [],
+    span: [],
+    strong: [],
+    sub: [],
+    summary: [],
+    sup: [],
+    table: [],
+    tbody: [],
+    td: ['align'],
+    th: ['align'],
+    thead: [],
+    tr: [],
+    ul: [],
+    // The collapsible context chips use a small inline icon
+    svg: ['viewbox', 'fill', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin'],
+    polyline: ['points']
+  },
+
+  globalAttributes: ['class', 'title'],
+
+  // Removed together with everything inside them
+  droppedTags: ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'template',
+                'noscript', 'textarea', 'select', 'button', 'form', 'link', 'meta', 'base', 'math'],
+
+  safeProtocols: ['http:', 'https:', 'mailto:'],
+
+  // Escape text for use inside HTML
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  // Whether a URL may be used; images may only use data:image URLs
+  isSafeUrl(value, attribute) {
+    // Browsers ignore whitespace and control characters inside the scheme
+    const url = value.replace(/[\u0000-\u0020\u007f]/g, '');
+    if (url.startsWith('#')) return attribute === 'href';
+    if (attribute === 'src') return /^data:image\/(png|jpe?g|gif|webp);/i.test(url);
+
+    try {
+      return this.safeProtocols.includes(new URL(url).protocol);
+    } catch (e) {
+      // Relative URLs would resolve to the extension's own pages
+      return false;
+    }
+  },
+
+  // Replace a remote image with a link to it, labeled with its alt text
+  linkImage(image) {
+    const src = image.getAttribute('src') || '';
+    if (!this.isSafeUrl(src, 'href') || src.trim().startsWith('#')) {
+      image.remove();
+      return;
+    }
+    const link = image.ownerDocument.createElement('a');
+    link.setAttribute('href', src);
+    link.setAttribute('target', '_blank');
+    link.setAttribute('rel', 'noopener noreferrer');
+    link.textContent = image.getAttribute('alt') || src;
+    image.replaceWith(link);
+  },
+
+  sanitizeElement(element) {
+    const tagName = element.tagName.toLowerCase();
+    const allowed = this.allowedTags[tagName];
+
+    if (tagName === 'img' && !this.isSafeUrl(element.getAttribute('src') || '', 'src')) {
+      this.linkImage(element);
+      return;
+    }
+
+    Array.from(element.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      const keep = (allowed.includes(name) || this.globalAttributes.includes(name)) &&
+                   (name !== 'href' && name !== 'src' || this.isSafeUrl(attribute.value, name));
+      if (!keep) {
+        element.removeAttribute(attribute.name);
+      }
+    });
+
+    // In-page anchors stay; other links open in a new tab
+    if (tagName === 'a' && element.hasAttribute('href') && !element.getAttribute('href').startsWith('#')) {
+      element.setAttribute('target', '_blank');
+      element.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    // Only Markdown task list checkboxes, and they can't be toggled
+    if (tagName === 'input') {
+      if (element.getAttribute('type') !== 'checkbox') {
+        element.remove();
+        return;
+      }
+      element.setAttribute('disabled', '');
+    }
+  },
+
+  sanitizeChildren(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) return;
+      if (node.nodeType !== Node.ELEMENT_NODE) {
+        node.remove();
+        return;
+      }
+
+      const tagName = node.tagName.toLowerCase();
+      if (this.droppedTags.includes(tagName)) {
+        node.remove();
+        return;
+      }
+
+      this.sanitizeChildren(node);
+
+      if (Object.prototype.hasOwnProperty.call(this.allowedTags, tagName)) {
+        this.sanitizeElement(node);
+      } else {
+        // Unknown tags are unwrapped so their text still shows
+        node.replaceWith(...node.childNodes);
+      }
+    });
+  },
+
+  // Return a sanitized copy of an HTML string
+  sanitize(html) {
+    // Template content is inert: nothing in it loads or runs while we clean it
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    this.sanitizeChildren(template.content);
+    return template.innerHTML;
+  },
+
+  // Render Markdown to sanitized HTML
+  renderMarkdown(markdown) {
+    return this.sanitize(marked.parse(markdown));
+  }
+};
@@ -0,0 +1,227 @@
+// Incremental decoding of streamed LLM responses
+//
+// A network read can end in the middle of a line, a JSON object or a
+// multi-byte character, and one read can also carry several lines. The
+// decoder buffers bytes until a full line is available before parsing it.
+//
+// SSE (OpenAI-compatible): "data:" lines are collected until a blank line,
+// "event:" sets the event type, ":" lines are comments and "[DONE]" ends
+// the stream. NDJSON (Ollama): every non-empty line is one JSON record.
+//
+// Events have the shape returned by the adapter's parseEvent
+// ({ content, done, usage, toolCalls }), or { content: '', done: true, usage: null, error }
+// when the server reports an error.
+function createStreamDecoder(adapter) {
+  const textDecoder = new TextDecoder();
+  let buffer = '';
+
+  // Fields of the SSE event being collected
+  let eventType = '';
+  let dataLines = [];
+
+  function errorEvent(message) {
+    return { content: '', done: true, usage: null, error: message };
+  }
+
+  // Servers report errors as a string or as { message }
+  function describeError(error) {
+    if (typeof error === 'string') return error;
+    if (error && error.message) return error.message;
+    return JSON.stringify(error);
+  }
+
+  function toEvent(data, type) {
+    if (type === 'error' || (data && data.error)) {
+      return errorEvent(describeError(data && data.error ? data.error : data));
+    }
+    return adapter.parseEvent(data);
+  }
+
+  // Parse one complete SSE event
+  function dispatchSseEvent(events) {
+    const type = eventType;
+    const data = dataLines.join('\n');
+    eventType = '';
+    dataLines = [];
+
+    if (!data) return;
+    if (data === '[DONE]') {
+      events.push({ content: '', done: true, usage: null });
+      return;
+    }
+
+    try {
+      events.push(toEvent(JSON.parse(data), type));
+    } catch (e) {
+      if (type === 'error') {
+        events.push(errorEvent(data));
+      } else {
+        console.error('Error parsing SSE event:', e, data);
+      }
+    }
+  }
+
+  function handleSseLine(line, events) {
+    if (line === '') {
+      dispatchSseEvent(events);
+      return;
+    }
+    if (line.startsWith(':')) return;
+
+    const colonIndex = line.indexOf(':');
+    const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+    let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    if (field === 'data') {
+      dataLines.push(value);
+    } else if (field === 'event') {
+      eventType = value;
+    }
+  }
+
+  function handleNdjsonLine(line, events) {
+    if (!line.trim()) return;
+
+    try {
+      events.push(toEvent(JSON.parse(line), ''));
+    } catch (e) {
+      console.error('Error parsing NDJSON line:', e, line);
+    }
+  }
+
+  function handleLine(line, events) {
+    const trimmedLine = line.endsWith('\r') ? line.slice(0, -1) : line;
+    if (adapter.streamFormat === 'sse') {
+      handleSseLine(trimmedLine, events);
+    } else {
+      handleNdjsonLine(trimmedLine, events);
+    }
+  }
+
+  return {
+    // Decode one chunk from reader.read() (bytes or text)
+    // Returns the events completed by this chunk
+    push(chunk) {
+      buffer += typeof chunk === 'string'
+        ? chunk
+        : textDecoder.decode(chunk, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      const events = [];
+      lines.forEach(line => handleLine(line, events));
+      return events;
+    },
+
+    // Decode whatever is left once the stream has ended
+    flush() {
+      buffer += textDecoder.decode();
+
+      const events = [];
+      if (buffer) {
+        handleLine(buffer, events);
+        buffer = '';
+      }
+      if (adapter.streamFormat === 'sse') {
+        dispatchSseEvent(events);
+      }
+      return events;
+    }
+  };
+}
+
+// Add a streamed tool call piece to the calls collected so far
+// Pieces with the index of a known call extend it; others start a new call
+function mergeToolCall(toolCalls, piece) {
+  const call = piece.index !== undefined && toolCalls.find(item => item.index === piece.index);
+  if (!call) {
+    toolCalls.push({
+      index: piece.index,
+      id: piece.id || `call_${toolCalls.length + 1}`,
+      name: piece.name || '',
+      arguments: piece.arguments || ''
+    });
+    return;
+  }
+  if (piece.id) call.id = piece.id;
+  if (piece.name) call.name += piece.name;
+  if (piece.arguments) call.arguments += piece.arguments;
+}
+
+// Send a chat request through a provider adapter and stream the reply
+// settings are the chat's generation settings, if any (see generation.js)
+// tools are tool definitions the model may call (see tools.js)
+// onContent(delta, fullText) is called for every piece of content
+// Resolves to { content, toolCalls, usage, timing } where toolCalls is a list
+// of { id, name, arguments } (arguments as a JSON string) and timing is
+// { firstTokenMs, totalMs } counted from sending the request; rejects with an
+// AbortError when signal aborts
+async function streamCompletion({ endpoint, model, messages, settings = {}, tools, signal, onContent = () => {} }) {
+  const adapter = providerRegistry.get(endpoint.type);
+  const { url, body } = adapter.buildRequest({ endpoint, model, messages, settings, tools });
+  const startedAt = Date.now();
+  let firstTokenAt = null;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: adapter.getHeaders(endpoint),
+    body: JSON.stringify(body),
+    signal
+  });
+
+  console.log('Response status:', response.status);
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const streamDecoder = createStreamDecoder(adapter);
+  let content = '';
+  let usage = null;
+  const toolCalls = [];
+
+  const handleStreamEvents = (events) => {
+    for (const event of events) {
+      if (event.error) {
+        throw new Error(event.error);
+      }
+      if (event.usage) {
+        usage = event.usage;
+      }
+      if (event.toolCalls) {
+        event.toolCalls.forEach(piece => mergeToolCall(toolCalls, piece));
+      }
+      if (event.content) {
+        if (firstTokenAt === null) {
+          firstTokenAt = Date.now();
+        }
+        content += event.content;
+        onContent(event.content, content);
+      }
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    handleStreamEvents(streamDecoder.push(value));
+  }
+  handleStreamEvents(streamDecoder.flush());
+
+  const timing = {
+    firstTokenMs: firstTokenAt === null ? null : firstTokenAt - startedAt,
+    totalMs: Date.now() - startedAt
+  };
+  return {
+    content,
+    toolCalls: toolCalls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args })),
+    usage,
+    timing
+  };
+}
@@ -0,0 +1,164 @@
+// Prompt template library with /command invocation
+//
+// A template is { id, command, name, prompt }. The prompt can use these variables:
+// {{input}} (text typed after the command), {{selection}}, {{page.title}},
+// {{page.url}} and {{page.content}}. Unknown variables render as empty text.
+const promptTemplates = {
+  storageKey: 'promptTemplates',
+  exportVersion: 1,
+
+  // Shipped with the extension; used until templates are saved on the options page
+  builtIns: [
+    {
+      id: 'builtin-translate',
+      command: 'translate',
+      name: 'Translate to English',
+      prompt: 'Translate the following text into English. Reply with the translation only.\n\n{{selection}}\n{{input}}'
+    },
+    {
+      id: 'builtin-korean',
+      command: 'korean',
+      name: 'Translate to Korean',
+      prompt: 'Translate the following text into Korean. Reply with the translation only.\n\n{{selection}}\n{{input}}'
+    },
+    {
+      id: 'builtin-explain',
+      command: 'explain',
+      name: 'Explain this code',
+      prompt: 'Explain what the following code does, step by step. Point out anything surprising or buggy.\n\n```\n{{selection}}\n{{input}}\n```'
+    },
+    {
+      id: 'builtin-reply',
+      command: 'reply',
+      name: 'Write a reply',
+      prompt: 'Write a reply to the message below. {{input}}\n\nMessage:\n{{selection}}'
+    },
+    {
+      id: 'builtin-summarize',
+      command: 'summarize',
+      name: 'Summarize this page',
+      prompt: 'Summarize the page "{{page.title}}" ({{page.url}}) in a few paragraphs. {{input}}\n\n{{page.content}}'
+    }
+  ],
+
+  // Get the template library, falling back to the built-ins
+  getAll() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.storageKey], (result) => {
+        const templates = result[this.storageKey];
+        resolve(Array.isArray(templates) ? templates : this.builtIns.map(template => ({ ...template })));
+      });
+    });
+  },
+
+  // Validate and save the template library
+  // Rejects with the list of validation errors if anything is wrong
+  save(templates) {
+    const errors = this.validate(templates);
+    if (errors.length > 0) {
+      return Promise.reject(errors);
+    }
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.storageKey]: templates }, () => resolve(true));
+    });
+  },
+
+  // Remove saved templates so the built-ins apply again
+  reset() {
+    return new Promise((resolve) => {
+      chrome.storage.local.remove([this.storageKey], () => resolve(true));
+    });
+  },
+
+  // Return a list of human-readable problems with the template list
+  validate(templates) {
+    const errors = [];
+    if (!Array.isArray(templates)) {
+      return ['Templates must be a list.'];
+    }
+
+    const commands = new Set();
+    templates.forEach((template, index) => {
+      const label = template.command ? `/${template.command}` : `Template ${index + 1}`;
+
+      if (!template.command || !/^[a-z0-9][\w-]*$/i.test(template.command)) {
+        errors.push(`${label}: command must be letters, numbers, "-" or "_" without spaces.`);
+      } else if (commands.has(template.command.toLowerCase())) {
+        errors.push(`${label}: duplicate command.`);
+      }
+      commands.add((template.command || '').toLowerCase());
+
+      if (!template.prompt || !template.prompt.trim()) {
+        errors.push(`${label}: prompt is required.`);
+      }
+    });
+
+    return errors;
+  },
+
+  // Templates whose command starts with the typed prefix
+  findMatches(templates, prefix) {
+    const lowerPrefix = prefix.toLowerCase();
+    return templates.filter(template => template.command.toLowerCase().startsWith(lowerPrefix));
+  },
+
+  // Parse "/command rest of input"; returns { template, input } or null
+  parseCommand(templates, message) {
+    const match = /^\/([\w-]+)(?:\s+([\s\S]*))?$/.exec(message.trim());
+    if (!match) return null;
+
+    const template = templates.find(item => item.command.toLowerCase() === match[1].toLowerCase());
+    return template ? { template, input: (match[2] || '').trim() } : null;
+  },
+
+  // Whether a prompt refers to a variable (e.g. 'selection' or 'page.')
+  uses(prompt, variablePrefix) {
+    return prompt.includes(`{{${variablePrefix}`);
+  },
+
+  // Fill in {{variables}} from a flat map such as { input, selection, 'page.title': ... }
+  render(prompt, variables) {
+    return prompt
+      .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => variables[name] || '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  },
+
+  // JSON document for export
+  toJson(templates) {
+    return JSON.stringify({
+      version: this.exportVersion,
+      templates: templates.map(({ id, command, name, prompt }) => ({ id, command, name, prompt }))
+    }, null, 2);
+  },
+
+  // Parse an exported document (or a bare array) into templates
+  // Throws if the JSON is malformed or the templates are invalid
+  fromJson(json) {
+    const data = JSON.parse(json);
+    const list = Array.isArray(data) ? data : data && data.templates;
+    if (!Array.isArray(list)) {
+      throw new Error('No "templates" list found in the file.');
+    }
+
+    const templates = list.map(template => ({
+      id: template.id || crypto.randomUUID(),
+      command: String(template.command || '').replace(/^\//, ''),
+      name: String(template.name || template.command || ''),
+      prompt: String(template.prompt || '')
+    }));
+
+    const errors = this.validate(templates);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    return templates;
+  },
+
+  // Merge imported templates into a library; same command replaces the existing one
+  merge(templates, imported) {
+    const merged = templates.filter(template =>
+      !imported.some(item => item.command.toLowerCase() === template.command.toLowerCase()));
+    return merged.concat(imported);
+  }
+};
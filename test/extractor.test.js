@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { root } = require('./helpers/load');
+
+// pageExtractor in a page with the given HTML
+function loadExtractor(html = '<body></body>') {
+  const { window } = new JSDOM(html, { runScripts: 'outside-only' });
+  window.eval(`${fs.readFileSync(path.join(root, 'extractor.js'), 'utf8')};\nwindow.pageExtractor = pageExtractor;`);
+  return window.pageExtractor;
+}
+
+// A minimal uncompressed PDF with one font and one content stream
+function buildPdf(font, content) {
+  const source = [
+    '%PDF-1.4',
+    '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj',
+    '2 0 obj << /Type /Pages /Kids [3 0 R] /Count 1 >> endobj',
+    '3 0 obj << /Type /Page /Parent 2 0 R /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >> endobj',
+    `4 0 obj ${font} endobj`,
+    `5 0 obj << /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj`,
+    '%%EOF'
+  ].join('\n');
+  return new Uint8Array(Buffer.from(source, 'latin1'));
+}
+
+const standardFont = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+
+test('reads text shown with a standard font', async () => {
+  const extractor = loadExtractor();
+  const text = await extractor.readPdfText(buildPdf(standardFont,
+    'BT /F1 12 Tf 72 720 Td (Quarterly report) Tj 0 -14 Td [(Revenue)-250(grew)] TJ ET'));
+  assert.equal(text, 'Quarterly report\nRevenue grew');
+});
+
+test('gives up on CID fonts instead of returning glyph ids', async () => {
+  const extractor = loadExtractor();
+  const font = '<< /Type /Font /Subtype /Type0 /BaseFont /ABCDEF+NotoSans /Encoding /Identity-H >>';
+  const text = await extractor.readPdfText(buildPdf(font, 'BT /F1 12 Tf 72 720 Td <002B0048004F004F0052> Tj ET'));
+  assert.equal(text, '');
+});
+
+test('gives up when the shown strings are glyph codes of a custom encoding', async () => {
+  const extractor = loadExtractor();
+  const font = '<< /Type /Font /Subtype /Type1 /BaseFont /ABCDEF+Custom /Encoding 6 0 R >>';
+  const text = await extractor.readPdfText(buildPdf(font, 'BT /F1 12 Tf 72 720 Td <0102030405060708090a0b> Tj ET'));
+  assert.equal(text, '');
+});
+
+test('looksLikeText accepts accented and non-Latin text', () => {
+  const extractor = loadExtractor();
+  assert.equal(extractor.looksLikeText('Résumé café déjà vu'), true);
+  assert.equal(extractor.looksLikeText('한국어 문서'), true);
+  assert.equal(extractor.looksLikeText('\u0001\u0002\u0003 §¶'), false);
+  assert.equal(extractor.looksLikeText('  '), false);
+});
+
+test('a page that embeds a PDF is not treated as one', () => {
+  const extractor = loadExtractor('<body><embed type="application/pdf" src="a.pdf"></body>');
+  assert.equal(extractor.isPdfDocument(), false);
+});
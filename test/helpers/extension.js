@@ -0,0 +1,103 @@
+// Open an extension page (popup.html or sidepanel.html) in jsdom with a fake
+// chrome API: in-memory storage, tabs, and runtime messages answered by
+// onMessage(message) the way background.js would
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JSDOM } = require('jsdom');
+const { root, loadScripts } = require('./load');
+
+const copy = value => JSON.parse(JSON.stringify(value));
+const event = () => ({ addListener() {} });
+
+// chrome.storage.local over a plain object; the callbacks run asynchronously,
+// as Chrome's do, so concurrent read-modify-writes interleave
+function createStorageArea(store) {
+  const later = (callback, value) => new Promise(resolve => setImmediate(() => {
+    if (callback) callback(value);
+    resolve(value);
+  }));
+  return {
+    get: (keys, callback) => {
+      const result = {};
+      (keys === null ? Object.keys(store) : [].concat(keys)).forEach(key => {
+        if (key in store) result[key] = copy(store[key]);
+      });
+      return later(callback, result);
+    },
+    set: (items, callback) => {
+      Object.entries(items).forEach(([key, value]) => { store[key] = copy(value); });
+      return later(callback);
+    },
+    remove: (keys, callback) => {
+      [].concat(keys).forEach(key => delete store[key]);
+      return later(callback);
+    }
+  };
+}
+
+// chatHistory as the background worker runs it, over the given storage area
+function createWorkerHistory(local, runtime = {}) {
+  return loadScripts(['history.js'], ['chatHistory'], { chrome: { runtime, storage: { local } }, crypto }).chatHistory;
+}
+
+function openPage(page, { onMessage = () => undefined, storage = {}, tabs } = {}) {
+  const html = fs.readFileSync(path.join(root, page), 'utf8');
+  const scripts = Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+  const dom = new JSDOM(html.replace(/<script[\s\S]*?<\/script>/g, ''), {
+    url: `chrome-extension://test/${page}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const window = dom.window;
+  const store = JSON.parse(JSON.stringify(storage));
+  const local = createStorageArea(store);
+  // The background worker's chatHistory, which applies the page's writes
+  const worker = createWorkerHistory(local);
+  const openTabs = tabs || [{ id: 1, windowId: 1, active: true, title: 'Example', url: 'https://example.com/' }];
+
+  window.chrome = {
+    storage: { local, session: { get: async () => ({}), set: async () => {} }, onChanged: event() },
+    runtime: {
+      lastError: undefined,
+      sendMessage: (message, callback) => {
+        const response = Promise.resolve(message.action === 'chatHistoryWrite'
+          ? worker.write(message.op, ...message.args)
+            .then(result => ({ result: copy(result) }), error => ({ error: error.message }))
+          : onMessage(message));
+        if (callback) response.then(callback);
+        return response;
+      },
+      onMessage: event(),
+      connect: () => ({ onMessage: event(), onDisconnect: event(), postMessage() {}, disconnect() {} }),
+      getURL: file => `chrome-extension://test/${file}`,
+      openOptionsPage() {}
+    },
+    tabs: {
+      query: async (query) => openTabs.filter(tab => !query.active || tab.active),
+      get: async (id) => openTabs.find(tab => tab.id === id),
+      onActivated: event(),
+      onUpdated: event(),
+      onRemoved: event()
+    },
+    windows: {
+      getCurrent: async () => ({ id: 1, type: 'normal' }),
+      getLastFocused: async () => ({ id: 1, type: 'normal' })
+    }
+  };
+  window.fetch = async () => { throw new Error('offline'); };
+  window.crypto.randomUUID = crypto.randomUUID;
+  window.CSS = { escape: value => value.replace(/["\\]/g, '\\$&') };
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  window.console.log = () => {};
+
+  window.eval(scripts.map(file => fs.readFileSync(path.join(root, file), 'utf8')).join(';\n'));
+  return { window, document: window.document, store };
+}
+
+// Let pending timers and promise callbacks run
+function settle(ms = 50) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { openPage, settle, createStorageArea, createWorkerHistory };
@@ -0,0 +1,18 @@
+// Load the extension's classic scripts into a fresh context, the way the
+// browser does: top-level declarations of every file share one scope
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..', '..');
+
+// Returns the context with the given names exported from the scripts
+function loadScripts(files, names, globals = {}) {
+  const context = vm.createContext({ console, TextDecoder, TextEncoder, URL, self: {}, ...globals });
+  const source = files.map(file => fs.readFileSync(path.join(root, file), 'utf8')).join(';\n');
+  const exports = names.map(name => `this.${name} = ${name};`).join('\n');
+  vm.runInContext(`${source};\n${exports}`, context, { filename: files[files.length - 1] });
+  return context;
+}
+
+module.exports = { root, loadScripts };
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadScripts } = require('./helpers/load');
+const { createStorageArea, createWorkerHistory } = require('./helpers/extension');
+
+// The worker's chatHistory over in-memory storage
+function loadHistory(store) {
+  return createWorkerHistory(createStorageArea(store));
+}
+
+// A view's chatHistory, which sends its writes to the worker's
+function loadViewHistory(store, worker) {
+  const chrome = {
+    runtime: {
+      sendMessage: (message, callback) => {
+        worker.write(message.op, ...message.args)
+          .then(result => ({ result }), error => ({ error: error.message }))
+          .then(callback);
+      }
+    },
+    storage: { local: createStorageArea(store) }
+  };
+  return loadScripts(['history.js'], ['chatHistory'], { chrome, crypto, window: {} }).chatHistory;
+}
+
+function chatWith(history, text) {
+  const chat = history.createChat();
+  chat.messages.push({ role: 'user', content: text });
+  return chat;
+}
+
+test('each chat is stored under its own key', async () => {
+  const store = {};
+  const history = loadHistory(store);
+  const chat = await history.save(chatWith(history, 'hello'));
+
+  assert.deepEqual(Object.keys(store), [`chat:${chat.id}`]);
+  assert.equal((await history.get(chat.id)).messages[0].content, 'hello');
+});
+
+test('chats saved at the same time from different views are all kept', async () => {
+  const store = {};
+  const worker = loadHistory(store);
+  const popup = loadViewHistory(store, worker);
+  const sidePanel = loadViewHistory(store, worker);
+
+  await Promise.all([
+    popup.save(chatWith(popup, 'from the popup')),
+    worker.save(chatWith(worker, 'from the worker')),
+    sidePanel.save(chatWith(sidePanel, 'from the side panel'))
+  ]);
+
+  const titles = Array.from(await popup.list(), chat => chat.messages[0].content).sort();
+  assert.deepEqual(titles, ['from the popup', 'from the side panel', 'from the worker']);
+});
+
+test("a view saving its copy while the worker adds an answer keeps both changes", async () => {
+  const store = {};
+  const worker = loadHistory(store);
+  const view = loadViewHistory(store, worker);
+  const chat = chatWith(view, 'question');
+  await view.save(chat);
+
+  // The view changes the settings of its copy, which doesn't have the answer yet
+  chat.settings = { temperature: 0.2 };
+  await Promise.all([
+    worker.appendTurn(chat.id, { role: 'assistant', content: 'answer' }),
+    view.save(chat, { keepMessages: true })
+  ]);
+
+  const saved = await view.get(chat.id);
+  assert.deepEqual(saved.settings, { temperature: 0.2 });
+  assert.deepEqual(saved.messages.map(turn => turn.content), ['question', 'answer']);
+});
+
+test('a full save replaces the turns', async () => {
+  const store = {};
+  const worker = loadHistory(store);
+  const view = loadViewHistory(store, worker);
+  const chat = chatWith(view, 'question');
+  chat.messages.push({ role: 'assistant', content: 'old answer' });
+  await view.save(chat);
+
+  chat.messages.pop();
+  await view.save(chat);
+  assert.equal((await view.get(chat.id)).messages.length, 1);
+});
+
+test('renaming and removing touch only their chat', async () => {
+  const store = {};
+  const history = loadHistory(store);
+  const first = await history.save(chatWith(history, 'first'));
+  const second = await history.save(chatWith(history, 'second'));
+
+  await Promise.all([history.rename(first.id, 'Renamed'), history.remove(second.id)]);
+
+  const chats = await history.list();
+  assert.equal(chats.length, 1);
+  assert.equal(chats[0].title, 'Renamed');
+});
+
+test('chats from the old single map are moved to their own keys', async () => {
+  const old = { id: 'old', title: 'Old chat', pageUrl: '', updatedAt: 1, messages: [] };
+  const newer = { id: 'newer', title: 'Newer copy', pageUrl: '', updatedAt: 3, messages: [] };
+  const store = {
+    chatHistory: { old, newer: { ...newer, title: 'Stale copy', updatedAt: 2 } },
+    'chat:newer': newer,
+    endpoints: []
+  };
+  const history = loadHistory(store);
+
+  const chats = await history.list();
+  assert.deepEqual(Array.from(chats, chat => chat.title), ['Newer copy', 'Old chat']);
+  assert.equal('chatHistory' in store, false);
+  assert.deepEqual(Object.keys(store).sort(), ['chat:newer', 'chat:old', 'endpoints']);
+});
+
+test('a refused write rejects instead of reporting success', async () => {
+  const runtime = {};
+  const local = {
+    ...createStorageArea({}),
+    set: (items, callback) => setImmediate(() => {
+      runtime.lastError = { message: 'QUOTA_BYTES quota exceeded' };
+      callback();
+      runtime.lastError = undefined;
+    })
+  };
+  const history = loadScripts(['history.js'], ['chatHistory'], { chrome: { runtime, storage: { local } }, crypto }).chatHistory;
+
+  await assert.rejects(history.save(chatWith(history, 'too big')), { message: 'QUOTA_BYTES quota exceeded' });
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadScripts } = require('./helpers/load');
+const { createStorageArea } = require('./helpers/extension');
+
+// A model with a small context window: a question over about 900 characters
+// gets its context condensed
+const selection = { endpoint: { type: 'openai' }, model: { name: 'small', contextLength: 400 } };
+
+// generationJobs with a scripted model and tools in place of streamCompletion
+// and browserTools: rounds are the results streamCompletion resolves to, one per
+// request, and execute runs for every tool call. Chats are kept in store
+function loadJobs({ rounds = [], execute = async () => ({ status: 'done', result: 'ok' }), store = {} } = {}) {
+  const requests = [];
+  const context = loadScripts(['providers.js', 'context.js', 'generation.js', 'usage.js', 'history.js', 'compare.js', 'jobs.js'],
+    ['generationJobs', 'chatHistory'], {
+      setTimeout,
+      clearTimeout,
+      setInterval,
+      clearInterval,
+      AbortController,
+      DOMException,
+      crypto,
+      chrome: { runtime: { getPlatformInfo() {} }, storage: { local: createStorageArea(store) } },
+      apiConfig: { getEndpoints: async () => [] },
+      modelDiscovery: { findModel: () => selection },
+      streamCompletion: async (options) => {
+        requests.push(options);
+        options.signal.throwIfAborted();
+        const result = rounds.shift() || { content: 'answer', toolCalls: [] };
+        return { usage: null, timing: { firstTokenMs: 5, totalMs: 10 }, ...result };
+      },
+      browserTools: {
+        get: name => ({ name, requiresApproval: name === 'open_url' }),
+        getDefinitions: () => [{ type: 'function', function: { name: 'read_page' } }],
+        execute
+      }
+    });
+  return { generationJobs: context.generationJobs, chatHistory: context.chatHistory, requests };
+}
+
+function createJob() {
+  return { id: 'job', chatId: 'chat', content: '', steps: [], approval: null, controller: new AbortController() };
+}
+
+test('waitForApproval rejects at once when the job was already stopped', async () => {
+  const { generationJobs } = loadJobs();
+  const job = createJob();
+  const step = { id: 'step', status: 'approval' };
+  job.controller.abort();
+
+  await assert.rejects(generationJobs.waitForApproval(job, step), { name: 'AbortError' });
+  assert.equal(step.status, 'declined');
+  assert.equal(job.approval, null);
+});
+
+test('waitForApproval rejects when the job is stopped while waiting', async () => {
+  const { generationJobs } = loadJobs();
+  const job = createJob();
+  const step = { id: 'step', status: 'approval' };
+  const waiting = generationJobs.waitForApproval(job, step);
+  job.controller.abort();
+
+  await assert.rejects(waiting, { name: 'AbortError' });
+  assert.equal(step.status, 'declined');
+  assert.equal(step.result, 'Stopped before it was approved.');
+});
+
+test('stopping after an approval leaves the approved step alone', async () => {
+  const { generationJobs } = loadJobs();
+  const job = createJob();
+  const step = { id: 'step', status: 'approval' };
+  const waiting = generationJobs.waitForApproval(job, step);
+  generationJobs.jobs.set(job.id, job);
+  generationJobs.approve({ jobId: job.id, stepId: step.id, approved: true });
+
+  assert.equal(await waiting, true);
+  step.status = 'done';
+  job.controller.abort();
+  assert.equal(step.status, 'done');
+  assert.equal(job.approval, null);
+});
+
+test('generate stops the tool loop when the job is stopped during a tool call', async () => {
+  const job = createJob();
+  const toolCall = { id: 'call', name: 'read_page', arguments: '{}' };
+  const { generationJobs, requests } = loadJobs({
+    rounds: [{ content: '', toolCalls: [toolCall, { ...toolCall, id: 'call2' }] }],
+    execute: async () => {
+      job.controller.abort();
+      return { status: 'done', result: 'page text' };
+    }
+  });
+  generationJobs.broadcast = () => {};
+
+  await assert.rejects(
+    generationJobs.generate(job, { endpoint: { type: 'openai' }, model: 'm' }, [], {}, true),
+    { name: 'AbortError' }
+  );
+  assert.equal(requests.length, 1);
+  assert.equal(job.steps.length, 1);
+});
+
+test('a stopped job does not wait for the approval of its next tool call', async () => {
+  const job = createJob();
+  const { generationJobs } = loadJobs();
+  generationJobs.broadcast = () => {};
+  job.controller.abort();
+
+  await assert.rejects(
+    generationJobs.runTool(job, { id: 'call', name: 'open_url', arguments: '{"url":"https://example.com"}' }),
+    { name: 'AbortError' }
+  );
+  assert.equal(job.steps[0].status, 'declined');
+});
+
+// Save a chat whose question has a long page attached; resolves to its id
+async function saveLongQuestion(chatHistory) {
+  const chat = chatHistory.createChat();
+  const text = 'What does it say?';
+  const page = Array.from({ length: 12 }, (_, index) => `Paragraph ${index}: ${'word '.repeat(30)}`).join('\n\n');
+  chat.messages.push({ role: 'user', content: `${text}\n\n${page}`, text, createdAt: 1 });
+  await chatHistory.save(chat);
+  return chat.id;
+}
+
+// Run generationJobs.start and collect what it broadcasts
+async function startJob(generationJobs, message) {
+  const events = [];
+  generationJobs.broadcast = (chatId, event) => events.push(JSON.parse(JSON.stringify(event)));
+  await generationJobs.start({ model: 'openai|small', settings: {}, ...message });
+  return events;
+}
+
+test('the worker condenses long context and saves it on the question', async () => {
+  const store = {};
+  const { generationJobs, chatHistory, requests } = loadJobs({ store });
+  const chatId = await saveLongQuestion(chatHistory);
+
+  const events = await startJob(generationJobs, { jobId: 'one', chatId });
+  const answerRequest = requests[requests.length - 1];
+  assert.ok(requests.length > 1);
+  assert.match(answerRequest.messages[0].content, /^What does it say\?\n\nContext \(condensed from a longer text\):\nanswer/);
+  assert.ok(events.some(event => event.type === 'status' && /Condensing/.test(event.text)));
+  assert.equal(events.filter(event => event.type === 'usage').length, requests.length - 1);
+  assert.equal(events[events.length - 1].type, 'done');
+
+  const saved = await chatHistory.get(chatId);
+  assert.equal(saved.messages.length, 2);
+  assert.equal(saved.messages[0].condensedContent, answerRequest.messages[0].content);
+
+  // The next answer reuses the saved condensing
+  const before = requests.length;
+  await chatHistory.save({ ...saved, messages: saved.messages.slice(0, 1) });
+  await startJob(generationJobs, { jobId: 'two', chatId });
+  assert.equal(requests.length, before + 1);
+});
+
+test('a view saving its copy of the question keeps the condensed context', async () => {
+  const { generationJobs, chatHistory } = loadJobs();
+  const chatId = await saveLongQuestion(chatHistory);
+  const viewCopy = await chatHistory.get(chatId);
+
+  await startJob(generationJobs, { jobId: 'one', chatId });
+  viewCopy.title = 'Renamed';
+  await chatHistory.save(viewCopy);
+
+  const saved = await chatHistory.get(chatId);
+  assert.equal(saved.title, 'Renamed');
+  assert.ok(saved.messages[0].condensedContent);
+});
+
+const isSummaryRequest = request => /^Summarize part/.test(request.messages[0].content);
+
+test('the columns of a comparison share one condensing', async () => {
+  const single = loadJobs();
+  await startJob(single.generationJobs, { jobId: 'one', chatId: await saveLongQuestion(single.chatHistory) });
+  const summariesPerQuestion = single.requests.filter(isSummaryRequest).length;
+
+  const { generationJobs, chatHistory, requests } = loadJobs();
+  const chatId = await saveLongQuestion(chatHistory);
+  generationJobs.broadcast = () => {};
+  await Promise.all(['a', 'b'].map((jobId, index) => generationJobs.start({
+    jobId, chatId, model: 'openai|small', settings: {}, comparison: { id: 'c', index, count: 2 }
+  })));
+
+  const answers = requests.filter(request => !isSummaryRequest(request));
+  assert.equal(answers.length, 2);
+  assert.equal(requests.length - answers.length, summariesPerQuestion);
+  assert.equal(answers[0].messages[0].content, answers[1].messages[0].content);
+});
+
+test('stopping while context is condensed ends the job without an answer', async () => {
+  const { generationJobs, chatHistory, requests } = loadJobs();
+  const chatId = await saveLongQuestion(chatHistory);
+  const events = [];
+  generationJobs.broadcast = (id, event) => {
+    events.push(event.type);
+    if (event.type === 'status' && event.text) generationJobs.abort('one');
+  };
+
+  await generationJobs.start({ jobId: 'one', chatId, model: 'openai|small', settings: {} });
+  assert.ok(requests.every(isSummaryRequest));
+  assert.equal(events[events.length - 1], 'abort');
+  assert.equal((await chatHistory.get(chatId)).messages[0].condensedContent, undefined);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { root } = require('./helpers/load');
+
+// pageTools in a page with the given body
+function loadPage(body) {
+  const { window } = new JSDOM(`<body>${body}</body>`, { runScripts: 'outside-only' });
+  window.eval(`${fs.readFileSync(path.join(root, 'pagetools.js'), 'utf8')};\nwindow.pageTools = pageTools;`);
+  return window;
+}
+
+test('queryElements returns the values of ordinary fields', () => {
+  const { pageTools } = loadPage('<input id="q" value="search terms"><textarea id="t">draft</textarea>');
+  const { elements } = pageTools.queryElements('input, textarea');
+  assert.equal(elements[0].value, 'search terms');
+  assert.equal(elements[1].value, 'draft');
+});
+
+test('queryElements leaves out password, hidden and credential values', () => {
+  const { pageTools } = loadPage(
+    '<input type="password" value="hunter2">' +
+    '<input type="hidden" name="csrf" value="token123">' +
+    '<input type="text" autocomplete="current-password" value="shown-password">' +
+    '<input autocomplete="one-time-code" value="123456">' +
+    '<input autocomplete="billing cc-number" value="4111111111111111">' +
+    '<input autocomplete="username" value="alice">'
+  );
+  const result = pageTools.queryElements('input');
+  assert.equal(result.count, 6);
+  assert.deepEqual(Array.from(result.elements, element => element.value), [
+    undefined, undefined, undefined, undefined, undefined, 'alice'
+  ]);
+  assert.doesNotMatch(JSON.stringify(result), /hunter2|token123|shown-password|123456|4111/);
+});
+
+test('queryElements reports an invalid selector', () => {
+  const { pageTools } = loadPage('');
+  assert.equal(pageTools.queryElements('a[').error, 'Invalid selector: a[');
+});
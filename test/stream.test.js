@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./helpers/load');
+
+const { createStreamDecoder, providerRegistry } =
+  loadScripts(['providers.js', 'stream.js'], ['createStreamDecoder', 'providerRegistry']);
+
+// Feed a server response to a decoder in the given pieces, as a mock server
+// would deliver them, and collect every event
+function replay(type, pieces) {
+  const decoder = createStreamDecoder(providerRegistry.get(type));
+  const events = [];
+  pieces.forEach(piece => events.push(...decoder.push(piece)));
+  events.push(...decoder.flush());
+  // Events come from another context; compare them as plain data
+  return JSON.parse(JSON.stringify(events));
+}
+
+// Split bytes into reads of one byte each
+function byteByByte(text) {
+  return Array.from(new TextEncoder().encode(text), byte => new Uint8Array([byte]));
+}
+
+function contentOf(events) {
+  return events.map(event => event.content).join('');
+}
+
+const sse = (data) => `data: ${JSON.stringify(data)}\n\n`;
+const openAIDelta = (content) => sse({ choices: [{ delta: { content } }] });
+
+test('SSE: Hangul split in the middle of its UTF-8 bytes', () => {
+  const events = replay('openai', byteByByte(openAIDelta('안녕하세요') + openAIDelta(' 세계') + 'data: [DONE]\n\n'));
+  assert.equal(contentOf(events), '안녕하세요 세계');
+  assert.equal(events.filter(event => event.done).length, 1);
+});
+
+test('SSE: JSON split mid-line across reads', () => {
+  const body = openAIDelta('Hello, ') + openAIDelta('world');
+  const events = replay('openai', [body.slice(0, 17), body.slice(17, 40), body.slice(40)]);
+  assert.equal(contentOf(events), 'Hello, world');
+});
+
+test('SSE: CRLF line endings', () => {
+  const body = (openAIDelta('one') + openAIDelta(' two') + 'data: [DONE]\n\n').replace(/\n/g, '\r\n');
+  const events = replay('openai', [body]);
+  assert.equal(contentOf(events), 'one two');
+  assert.ok(events[events.length - 1].done);
+});
+
+test('SSE: [DONE] ends the stream after the usage chunk', () => {
+  const body = openAIDelta('Hi') +
+    sse({ choices: [], usage: { prompt_tokens: 12, completion_tokens: 1 } }) +
+    'data: [DONE]\n\n';
+  const events = replay('openai', byteByByte(body));
+  assert.deepEqual(events.map(event => event.done), [false, false, true]);
+  assert.deepEqual(events[1].usage, { promptTokens: 12, completionTokens: 1 });
+});
+
+test('SSE: "event: error" becomes an error event', () => {
+  const body = openAIDelta('partial') + 'event: error\ndata: {"message":"model overloaded"}\n\n';
+  const events = replay('openai', [body]);
+  assert.equal(events[1].error, 'model overloaded');
+  assert.ok(events[1].done);
+});
+
+test('SSE: comments and multi-line data', () => {
+  const body = ': keep-alive\n\ndata: {"choices":[{"delta":\ndata: {"content":"x"}}]}\n\n';
+  assert.equal(contentOf(replay('openai', [body])), 'x');
+});
+
+test('SSE: an event left without its blank line is dispatched at flush', () => {
+  const events = replay('openai', [openAIDelta('last').trimEnd()]);
+  assert.equal(contentOf(events), 'last');
+});
+
+const ndjson = (...records) => records.map(record => JSON.stringify(record) + '\n').join('');
+
+test('NDJSON: several records in one read', () => {
+  const body = ndjson(
+    { message: { content: 'a' }, done: false },
+    { message: { content: 'b' }, done: false },
+    { message: { content: 'c' }, done: false }
+  );
+  const events = replay('ollama', [body]);
+  assert.equal(events.length, 3);
+  assert.equal(contentOf(events), 'abc');
+});
+
+test('NDJSON: Hangul and JSON split byte by byte', () => {
+  const body = ndjson({ message: { content: '한국어 ' }, done: false }, { message: { content: '답변' }, done: false });
+  assert.equal(contentOf(replay('ollama', byteByByte(body))), '한국어 답변');
+});
+
+test("NDJSON: Ollama's final done record carries usage", () => {
+  const body = ndjson(
+    { message: { content: 'ok' }, done: false },
+    { message: { content: '' }, done: true, prompt_eval_count: 26, eval_count: 2, eval_duration: 5e8, total_duration: 9e8 }
+  );
+  const events = replay('ollama', [body.slice(0, 30), body.slice(30)]);
+  const last = events[events.length - 1];
+  assert.ok(last.done);
+  assert.deepEqual(last.usage, { promptTokens: 26, completionTokens: 2, evalDuration: 5e8, totalDuration: 9e8 });
+});
+
+test('NDJSON: CRLF line endings', () => {
+  const body = ndjson({ response: 'x', done: false }, { response: 'y', done: true }).replace(/\n/g, '\r\n');
+  const events = replay('ollama-generate', [body]);
+  assert.equal(contentOf(events), 'xy');
+  assert.ok(events[1].done);
+});
+
+test('NDJSON: a last record without a newline is parsed at flush', () => {
+  const body = ndjson({ message: { content: 'a' }, done: false }) + JSON.stringify({ message: { content: 'b' }, done: true });
+  const decoder = createStreamDecoder(providerRegistry.get('ollama'));
+  assert.equal(decoder.push(body).length, 1);
+  const rest = decoder.flush();
+  assert.equal(rest.length, 1);
+  assert.equal(rest[0].content, 'b');
+  assert.ok(rest[0].done);
+});
+
+test('NDJSON: an error record becomes an error event', () => {
+  const events = replay('ollama', [ndjson({ error: 'model "x" not found' })]);
+  assert.equal(events[0].error, 'model "x" not found');
+});
+
+// Whole responses in the wire format of vLLM's OpenAI-compatible API and of
+// Ollama's /api/chat, replayed in arbitrary pieces
+const fixture = (file) => fs.readFileSync(path.join(__dirname, 'fixtures', file));
+
+// Cut bytes at the given offsets
+function splitAt(bytes, offsets) {
+  const cuts = [0, ...offsets, bytes.length];
+  return cuts.slice(1).map((end, index) => bytes.slice(cuts[index], end));
+}
+
+// Sorted random offsets inside bytes; seeded so a failure can be replayed
+function randomOffsets(length, seed) {
+  let state = seed;
+  const next = () => (state = (state * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const count = 1 + Math.floor(next() * 40);
+  return Array.from({ length: count }, () => 1 + Math.floor(next() * (length - 1))).sort((a, b) => a - b);
+}
+
+// Offsets that fall inside the UTF-8 bytes of a multi-byte character
+function offsetsInsideCharacters(bytes) {
+  const offsets = [];
+  bytes.forEach((byte, index) => {
+    if ((byte & 0xc0) === 0x80) offsets.push(index);
+  });
+  return offsets;
+}
+
+const recorded = [
+  {
+    type: 'openai',
+    file: 'openai-chat.sse',
+    content: '안녕하세요! 무엇을 도와드릴까요?',
+    usage: { promptTokens: 31, completionTokens: 9 }
+  },
+  {
+    type: 'ollama',
+    file: 'ollama-chat.ndjson',
+    content: '안녕하세요! 무엇을 도와드릴까요?',
+    usage: { promptTokens: 30, completionTokens: 10, evalDuration: 218000000, totalDuration: 1183526917 }
+  }
+];
+
+recorded.forEach(({ type, file, content, usage }) => {
+  const bytes = new Uint8Array(fixture(file));
+  const whole = replay(type, [bytes]);
+
+  test(`${file}: the whole response decodes to the answer and its usage`, () => {
+    assert.equal(contentOf(whole), content);
+    assert.equal(whole.filter(event => event.done).length, 1);
+    assert.ok(whole[whole.length - 1].done);
+    assert.deepEqual(whole.find(event => event.usage).usage, usage);
+  });
+
+  test(`${file}: reads split inside multi-byte characters give the same events`, () => {
+    const inside = offsetsInsideCharacters(bytes);
+    assert.ok(inside.length > 0);
+    inside.forEach(offset => assert.deepEqual(replay(type, splitAt(bytes, [offset])), whole, `split at byte ${offset}`));
+    assert.deepEqual(replay(type, splitAt(bytes, inside)), whole);
+    assert.deepEqual(replay(type, byteByByte(new TextDecoder().decode(bytes))), whole);
+  });
+
+  test(`${file}: reads split at random byte offsets give the same events`, () => {
+    for (let seed = 1; seed <= 200; seed++) {
+      const offsets = randomOffsets(bytes.length, seed);
+      assert.deepEqual(replay(type, splitAt(bytes, offsets)), whole, `seed ${seed}: ${offsets.join(',')}`);
+    }
+  });
+});
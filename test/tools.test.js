@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load');
+
+const openTabs = [
+  { id: 1, windowId: 1, active: true, title: 'Chat tab', url: 'https://example.com/' },
+  { id: 2, windowId: 1, active: false, title: 'Neighbour', url: 'https://example.org/' },
+  { id: 3, windowId: 2, active: true, title: 'Bank', url: 'https://bank.example/' }
+];
+
+// browserTools with fake tabs; messages sent to pages are kept in sent
+function loadTools() {
+  const sent = [];
+  const chrome = {
+    tabs: {
+      get: async tabId => openTabs.find(tab => tab.id === tabId),
+      query: async ({ windowId }) => openTabs.filter(tab => windowId === undefined || tab.windowId === windowId)
+    }
+  };
+  const sendToTab = async (tabId, message) => {
+    sent.push(message);
+    return { count: 0, elements: [] };
+  };
+  const { browserTools } = loadScripts(['tools.js'], ['browserTools'], { chrome, sendToTab });
+  return { browserTools, sent };
+}
+
+test('query_elements asks for at most 50 elements', async () => {
+  const { browserTools, sent } = loadTools();
+  for (const limit of [5, 100000, -3, 'many']) {
+    await browserTools.execute({ name: 'query_elements', arguments: JSON.stringify({ selector: 'a', limit }) }, { tabId: 1 });
+  }
+  assert.deepEqual(sent.map(message => message.limit), [5, 50, 1, 20]);
+});
+
+test('list_tabs lists only the tabs in the window of the chat tab', async () => {
+  const { browserTools } = loadTools();
+  const { status, result } = await browserTools.execute({ name: 'list_tabs', arguments: '' }, { tabId: 1 });
+  assert.equal(status, 'done');
+  assert.deepEqual(JSON.parse(result).map(tab => tab.title), ['Chat tab', 'Neighbour']);
+});
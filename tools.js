@@ -0,0 +1,154 @@
+// Browser tools the model can call, run by the background service worker
+//
+// A tool is { name, description, parameters, requiresApproval, run(args, context) }
+// where parameters is a JSON schema and context is { tabId } for the tab the
+// chat reads from. Tools that change something (opening a tab) need the
+// user's approval for each call (see the tool loop in jobs.js). run resolves
+// to a string or an object, which is sent back to the model as JSON.
+const browserTools = {
+  // Longer results are cut so they don't crowd out the conversation
+  maxResultChars: 12000,
+  // query_elements lists at most this many elements, whatever limit the model asks for
+  maxElements: 50,
+
+  tools: [
+    {
+      name: 'read_page',
+      description: 'Read the title, URL and main text (as Markdown) of the page the user is looking at.',
+      parameters: { type: 'object', properties: {} },
+      async run(args, { tabId }) {
+        const pageInfo = await browserTools.sendToPage(tabId, { action: 'getPageInfo' });
+        return { title: pageInfo.title, url: pageInfo.url, content: pageInfo.mainContent };
+      }
+    },
+    {
+      name: 'query_elements',
+      description: 'Find elements on the page by CSS selector and return their tag, id, classes, text, link and form value (except passwords and other private fields).',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector, e.g. "h2" or "table.prices td"' },
+          limit: { type: 'integer', description: 'Maximum number of elements to return (default 20, at most 50)' }
+        },
+        required: ['selector']
+      },
+      run(args, { tabId }) {
+        const limit = Math.min(Math.max(parseInt(args.limit, 10) || 20, 1), browserTools.maxElements);
+        return browserTools.sendToPage(tabId, { action: 'queryElements', selector: String(args.selector || ''), limit });
+      }
+    },
+    {
+      name: 'get_selection',
+      description: 'Get the text the user has selected on the page.',
+      parameters: { type: 'object', properties: {} },
+      async run(args, { tabId }) {
+        const response = await browserTools.sendToPage(tabId, { action: 'getSelectedText' });
+        return response.selectedText || 'Nothing is selected.';
+      }
+    },
+    {
+      name: 'find_in_page',
+      description: 'Search the page text for a word or phrase (case-insensitive) and return each match with its surrounding text.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Text to search for' }
+        },
+        required: ['query']
+      },
+      run(args, { tabId }) {
+        return browserTools.sendToPage(tabId, { action: 'findInPage', query: String(args.query || '') });
+      }
+    },
+    {
+      name: 'list_tabs',
+      description: 'List the tabs open in the same window as the page the user is looking at, with their id, title and URL.',
+      parameters: { type: 'object', properties: {} },
+      // Only the chat's window: tabs in other windows stay private
+      async run(args, { tabId }) {
+        const query = tabId ? { windowId: (await chrome.tabs.get(tabId)).windowId } : { lastFocusedWindow: true };
+        const tabs = await chrome.tabs.query(query);
+        return tabs.map(tab => ({ id: tab.id, title: tab.title, url: tab.url, active: tab.active }));
+      }
+    },
+    {
+      name: 'open_url',
+      description: 'Open a web page in a new tab.',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'http or https URL to open' }
+        },
+        required: ['url']
+      },
+      requiresApproval: true,
+      async run(args) {
+        const url = new URL(String(args.url || ''));
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          throw new Error('Only http and https URLs can be opened.');
+        }
+        const tab = await chrome.tabs.create({ url: url.href, active: false });
+        return `Opened ${url.href} in a new tab (id ${tab.id}).`;
+      }
+    }
+  ],
+
+  get(name) {
+    return this.tools.find(tool => tool.name === name);
+  },
+
+  // Tool list in the OpenAI "tools" format, which Ollama accepts too
+  getDefinitions() {
+    return this.tools.map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  },
+
+  // Message the content script of the chat's tab; throws if there is no answer
+  async sendToPage(tabId, message) {
+    if (!tabId) {
+      throw new Error('No tab is open for this chat.');
+    }
+    // sendToTab is defined in background.js
+    const response = await sendToTab(tabId, message);
+    if (!response) {
+      throw new Error('The page did not respond. It may not allow extensions, or needs to be reloaded.');
+    }
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    return response;
+  },
+
+  // Arguments arrive as a JSON string (possibly empty)
+  parseArguments(text) {
+    if (!text || !text.trim()) return {};
+    const args = JSON.parse(text);
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      throw new Error('Tool arguments must be a JSON object.');
+    }
+    return args;
+  },
+
+  // Run a tool call ({ id, name, arguments }); resolves to { status, result }
+  // where result is the text sent back to the model. Failures are reported
+  // to the model as text rather than thrown
+  async execute(call, context) {
+    const tool = this.get(call.name);
+    if (!tool) {
+      return { status: 'error', result: `Unknown tool: ${call.name}` };
+    }
+
+    try {
+      const output = await tool.run(this.parseArguments(call.arguments), context);
+      const text = typeof output === 'string' ? output : JSON.stringify(output);
+      return {
+        status: 'done',
+        result: text.length > this.maxResultChars ? text.substring(0, this.maxResultChars) + '\n[truncated]' : text
+      };
+    } catch (error) {
+      return { status: 'error', result: `Error: ${error.message}` };
+    }
+  }
+};
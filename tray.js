@@ -0,0 +1,68 @@
+// Context tray: open tabs and collected snippets to attach to the next message
+//
+// An item is { id, type: 'tab' | 'snippet', title, url, content, createdAt }.
+// Tab items hold the page content read when the tab was attached; snippets
+// are selections collected from any page (from the chat or the context
+// menu). The tray is kept in storage so snippets can be gathered across
+// pages, and is emptied once its items are sent.
+const contextTray = {
+  storageKey: 'contextTray',
+
+  getAll() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get([this.storageKey], (result) => {
+        resolve(Array.isArray(result[this.storageKey]) ? result[this.storageKey] : []);
+      });
+    });
+  },
+
+  save(items) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [this.storageKey]: items }, () => resolve(true));
+    });
+  },
+
+  createItem({ type, title, url = '', content }) {
+    return { id: crypto.randomUUID(), type, title: title || url || 'Untitled', url, content, createdAt: Date.now() };
+  },
+
+  // Add items; attaching a tab again replaces its older copy
+  async add(...newItems) {
+    const items = (await this.getAll()).filter(item =>
+      !newItems.some(newItem => newItem.type === 'tab' && item.type === 'tab' && item.url === newItem.url));
+    await this.save(items.concat(newItems));
+  },
+
+  async remove(id) {
+    await this.save((await this.getAll()).filter(item => item.id !== id));
+  },
+
+  clear() {
+    return this.save([]);
+  },
+
+  // "12.3k chars · ~3.1k tokens"
+  describeSize(item) {
+    const format = count => (count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count));
+    return `${format(item.content.length)} chars · ~${format(contextBudget.estimateTokens(item.content))} tokens`;
+  },
+
+  getSource(item) {
+    try {
+      return item.url ? new URL(item.url).hostname : '';
+    } catch (e) {
+      return item.url;
+    }
+  },
+
+  // Labeled, delimited blocks for the model, numbered so the question can
+  // refer to them ("compare context 1 and 2")
+  toPromptBlocks(items) {
+    const attribute = value => String(value).replace(/"/g, "'").replace(/\s+/g, ' ');
+    return items.map((item, index) => [
+      `<context index="${index + 1}" type="${item.type === 'tab' ? 'page' : 'snippet'}" title="${attribute(item.title)}" source="${attribute(item.url)}">`,
+      item.content,
+      '</context>'
+    ].join('\n')).join('\n\n');
+  }
+};
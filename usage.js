@@ -0,0 +1,107 @@
+// Token usage, latency and throughput of answers
+//
+// Token counts come from the server: Ollama's final record and the usage
+// chunk OpenAI-compatible servers send when asked with
+// stream_options.include_usage. Counts a server doesn't report are estimated
+// on the client (see contextBudget.estimateTokens) and shown with a "~".
+// Timings are measured by streamCompletion from sending the request.
+const usageStats = {
+  // Stats for one answer:
+  // { promptTokens, completionTokens, promptEstimated, completionEstimated,
+  //   firstTokenMs, totalMs, tokensPerSecond }
+  summarize({ usage, timing, requestMessages, content }) {
+    const reported = usage || {};
+    const promptEstimated = !Number.isFinite(reported.promptTokens);
+    const completionEstimated = !Number.isFinite(reported.completionTokens);
+    const completionTokens = completionEstimated
+      ? contextBudget.estimateTokens(content)
+      : reported.completionTokens;
+
+    // Ollama reports how long generating took; otherwise count from the first token
+    const generationMs = reported.evalDuration
+      ? reported.evalDuration / 1e6
+      : timing.totalMs - (timing.firstTokenMs ?? timing.totalMs);
+
+    return {
+      promptTokens: promptEstimated
+        ? contextBudget.estimateMessagesTokens(requestMessages)
+        : reported.promptTokens,
+      completionTokens,
+      promptEstimated,
+      completionEstimated,
+      firstTokenMs: timing.firstTokenMs,
+      totalMs: timing.totalMs,
+      tokensPerSecond: generationMs > 0 && completionTokens > 0
+        ? completionTokens / (generationMs / 1000)
+        : null
+    };
+  },
+
+  formatCount(count, estimated) {
+    const text = count >= 10000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+    return estimated ? `~${text}` : text;
+  },
+
+  formatDuration(ms) {
+    return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+  },
+
+  // e.g. "812 → 245 tokens · first token 420 ms · 6.3 s · 41.2 tok/s"
+  format(stats) {
+    const parts = [
+      `${this.formatCount(stats.promptTokens, stats.promptEstimated)} → ` +
+      `${this.formatCount(stats.completionTokens, stats.completionEstimated)} tokens`
+    ];
+    if (Number.isFinite(stats.firstTokenMs)) {
+      parts.push(`first token ${this.formatDuration(stats.firstTokenMs)}`);
+    }
+    if (Number.isFinite(stats.totalMs)) {
+      parts.push(this.formatDuration(stats.totalMs));
+    }
+    if (stats.tokensPerSecond) {
+      parts.push(`${stats.tokensPerSecond.toFixed(1)} tok/s`);
+    }
+    return parts.join(' · ');
+  },
+
+  // Longer description for the tooltip
+  describe(stats) {
+    const estimated = stats.promptEstimated || stats.completionEstimated
+      ? '\n~ = estimated; the server did not report this count'
+      : '';
+    return [
+      `Prompt tokens: ${this.formatCount(stats.promptTokens, stats.promptEstimated)}`,
+      `Completion tokens: ${this.formatCount(stats.completionTokens, stats.completionEstimated)}`,
+      Number.isFinite(stats.firstTokenMs) ? `Time to first token: ${this.formatDuration(stats.firstTokenMs)}` : '',
+      `Total time: ${this.formatDuration(stats.totalMs)}`,
+      stats.tokensPerSecond ? `Speed: ${stats.tokensPerSecond.toFixed(1)} tokens/s` : ''
+    ].filter(Boolean).join('\n') + estimated;
+  },
+
+  // Running total for a popup or side panel session
+  createTotal() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, totalMs: 0, estimated: false };
+  },
+
+  addToTotal(total, stats) {
+    total.requests++;
+    total.promptTokens += stats.promptTokens;
+    total.completionTokens += stats.completionTokens;
+    total.totalMs += stats.totalMs;
+    total.estimated = total.estimated || stats.promptEstimated || stats.completionEstimated;
+    return total;
+  },
+
+  formatTotal(total) {
+    return `Σ ${this.formatCount(total.promptTokens + total.completionTokens, total.estimated)} tokens`;
+  },
+
+  describeTotal(total) {
+    return [
+      `This session: ${total.requests} request(s)`,
+      `Prompt tokens: ${this.formatCount(total.promptTokens, total.estimated)}`,
+      `Completion tokens: ${this.formatCount(total.completionTokens, total.estimated)}`,
+      `Time generating: ${this.formatDuration(total.totalMs)}`
+    ].join('\n');
+  }
+};